@@ -1,6 +1,9 @@
 /**
- * Background Script - CORS proxy and extension state management
- * Handles requests from content scripts that need elevated privileges
+ * Background Script - CORS proxy, shared request queue and extension state management
+ * Handles requests from content scripts that need elevated privileges.
+ * Runs as an event page (Firefox) or service worker (Chromium, see background/serviceWorker.js)
+ * that may be suspended while idle: listeners are registered synchronously on startup
+ * and state that must survive lives in session storage (background/sessionState.js).
  */
 
 const DEBUG = true; // Background script can have its own DEBUG
@@ -10,47 +13,260 @@ function log(level, message, data) {
   console[level](`[ImageAlt:Background] ${message}`, data || '');
 }
 
+// Persistent description cache shared by all tabs
+const descriptionCache = new DescriptionCache();
+
+// Server health shared by all tabs: the scheduler holds requests back while it is down
+const apiCircuit = new CircuitBreaker();
+const healthChecker = new HealthChecker(apiCircuit);
+
+// API request queue shared by all tabs
+const requestScheduler = new RequestScheduler();
+
+// Toolbar badge while the server is not healthy (nothing shown while closed)
+const CIRCUIT_BADGES = {
+  [CIRCUIT_OPEN]: { text: '!', color: '#c62828', title: 'API unavailable' },
+  [CIRCUIT_HALF_OPEN]: { text: '?', color: '#f9a825', title: 'API recovering' }
+};
+
+// Context menu entry that describes one image on demand
+const DESCRIBE_MENU_ID = 'describe-image';
+
+// Background images have no context of their own, so the entry is offered on the page too
+const DESCRIBE_MENU_CONTEXTS = ['image', 'video', 'link', 'page', 'frame'];
+
+// How long a lookup waits for another frame or tab describing the same image
+const PENDING_WAIT_TIMEOUT_MS = 120000;
+
+// Latest statistics reported by each frame's content script: tab ID -> (frame ID -> stats)
+const tabStats = new Map();
+
+// Images being described right now, keyed by digest; later lookups wait for the result
+const pendingDescriptions = new Map();
+
+// DESCRIBE_IMAGE subscribers whose job key is still being computed (not yet in the scheduler)
+const submittingJobs = new Set();
+
+// Counters summed across frames and tabs for the popup
+const STAT_COUNTERS = ['processed', 'inFlight', 'queued', 'active', 'apiTotal', 'apiSuccess', 'failed'];
+
+// An idle background is suspended after about 30 seconds; extension API calls count as activity
+const KEEP_ALIVE_INTERVAL_MS = 20000;
+
+let keepAliveTimer = null;
+
+registerSessionState('circuit', {
+  save: () => apiCircuit.getStatus(),
+  restore: saved => apiCircuit.restore(saved)
+});
+
+registerSessionState('health', {
+  save: () => healthChecker.getStatus(),
+  restore: saved => healthChecker.restore(saved)
+});
+
+registerSessionState('pausedFrames', {
+  save: () => [...requestScheduler.pausedFrames],
+  restore: saved => saved.forEach(frame => requestScheduler.pausedFrames.add(frame))
+});
+
+// Maps are stored as [key, value] pairs
+registerSessionState('tabStats', {
+  save: () => [...tabStats].map(([tabId, frames]) => [tabId, [...frames]]),
+  restore: saved => saved.forEach(([tabId, frames]) => tabStats.set(tabId, new Map(frames)))
+});
+
+/**
+ * Combine the statistics of all frames in a tab
+ * Counters and failures per cause are summed; status fields come from the top-level frame
+ * @param {Map<number, object>} frames - Frame ID -> stats
+ * @returns {object} Tab statistics
+ */
+function aggregateFrameStats(frames) {
+  const top = frames.get(0) || frames.values().next().value;
+  const stats = { ...top, frames: frames.size, failures: {} };
+
+  for (const counter of STAT_COUNTERS) {
+    stats[counter] = 0;
+    for (const frameStats of frames.values()) {
+      stats[counter] += frameStats[counter] || 0;
+    }
+  }
+
+  for (const type of ERROR_TYPES) {
+    stats.failures[type] = 0;
+    for (const frameStats of frames.values()) {
+      stats.failures[type] += frameStats.failures?.[type] || 0;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Sum statistics over all tabs
+ * @returns {object} Totals plus the number of reporting tabs
+ */
+function aggregateTabStats() {
+  const totals = {};
+  for (const counter of STAT_COUNTERS) {
+    totals[counter] = 0;
+  }
+
+  for (const frames of tabStats.values()) {
+    const stats = aggregateFrameStats(frames);
+    for (const counter of STAT_COUNTERS) {
+      totals[counter] += stats[counter];
+    }
+  }
+
+  return {
+    tabs: tabStats.size,
+    totals
+  };
+}
+
+/**
+ * Get the combined statistics of one tab
+ * @param {number} tabId - Tab ID
+ * @returns {object|null} Statistics, or null if no content script reported
+ */
+function getTabStats(tabId) {
+  const frames = tabStats.get(tabId);
+  return frames && frames.size > 0 ? aggregateFrameStats(frames) : null;
+}
+
+/**
+ * Keep the background running while images are queued or being described
+ * Its queue, running requests and waiting frames would be lost if it were suspended.
+ */
+function keepAliveWhileBusy() {
+  if (keepAliveTimer) return;
+
+  keepAliveTimer = setInterval(() => {
+    const { queued, active } = requestScheduler.getStats();
+
+    if (queued === 0 && active === 0 && pendingDescriptions.size === 0) {
+      clearInterval(keepAliveTimer);
+      keepAliveTimer = null;
+      return;
+    }
+
+    browser.runtime.getPlatformInfo();
+  }, KEEP_ALIVE_INTERVAL_MS);
+}
+
+/**
+ * Find a pending description of the same image, or of a visually identical one in the same language
+ * @param {string} digest - Cache key of the image
+ * @param {string|null} phash - Perceptual hash of the image, null to match exactly only
+ * @param {number} maxDistance - Largest Hamming distance that counts as the same image
+ * @returns {string|null} Cache key of the pending description, or null
+ */
+function findPendingDescription(digest, phash, maxDistance) {
+  if (pendingDescriptions.has(digest)) {
+    return digest;
+  }
+  if (!phash) {
+    return null;
+  }
+
+  const variant = getCacheKeyVariant(digest);
+  for (const [key, pending] of pendingDescriptions) {
+    if (pending.phash && getCacheKeyVariant(key) === variant &&
+        getHammingDistance(phash, pending.phash) <= maxDistance) {
+      return key;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Wait for another frame or tab to finish describing an image
+ * @param {string} digest - Image digest
+ * @returns {Promise<{description: string, longDescription: string|null}|null>} Result, or null if it failed or timed out
+ */
+function waitForPendingDescription(digest) {
+  const pending = pendingDescriptions.get(digest);
+
+  return new Promise(resolve => {
+    const timer = setTimeout(() => resolve(null), PENDING_WAIT_TIMEOUT_MS);
+
+    pending.waiters.push(result => {
+      clearTimeout(timer);
+      resolve(result);
+    });
+  });
+}
+
+/**
+ * Finish a pending description and wake up everyone waiting for it
+ * @param {string} digest - Image digest
+ * @param {{description: string, longDescription: string|null}|null} result - Result, or null if the owner gave up
+ */
+function settlePendingDescription(digest, result) {
+  const pending = pendingDescriptions.get(digest);
+  if (!pending) return;
+
+  pendingDescriptions.delete(digest);
+  pending.waiters.forEach(wake => wake(result));
+}
+
 /**
- * Convert a blob to base64
- * @param {Blob} blob - The blob to convert
- * @returns {Promise<string>} Base64 data URL
+ * Give up the cache misses a tab or frame claimed; its descriptions will never be stored
+ * Others waiting for the same images fall back to their own request right away.
+ * @param {number} tabId - Tab ID
+ * @param {number} [frameId] - Frame ID, all frames of the tab if omitted
  */
-function blobToBase64(blob) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onloadend = () => resolve(reader.result);
-    reader.onerror = () => reject(new Error('FileReader failed'));
-    reader.readAsDataURL(blob);
+function releasePendingDescriptions(tabId, frameId) {
+  for (const [digest, pending] of pendingDescriptions) {
+    if (pending.tabId === tabId && (frameId === undefined || pending.frameId === frameId)) {
+      settlePendingDescription(digest, null);
+    }
+  }
+}
+
+/**
+ * Stop waiting for jobs on behalf of some frames, including jobs not yet submitted
+ * @param {Function} matches - Returns true for subscribers to cancel
+ */
+function cancelJobs(matches) {
+  submittingJobs.forEach(subscriber => {
+    if (matches(subscriber)) {
+      subscriber.cancelled = true;
+    }
   });
+  requestScheduler.cancel(matches);
 }
 
 /**
- * Fetch image and convert to base64 (CORS bypass)
+ * Fetch an image (CORS bypass)
  * @param {string} url - Image URL
- * @returns {Promise<string>} Base64 data URL
+ * @returns {Promise<Blob>} Image blob
  */
-async function fetchImageAsBase64(url) {
+async function fetchImageAsBlob(url) {
   try {
     log('info', `Fetching image: ${url.substring(0, 50)}`);
 
-    const response = await fetch(url);
+    const response = await fetch(url).catch(error => {
+      throw new NetworkError(`Could not fetch image: ${error.message}`, error);
+    });
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      throw new HttpError(response.status, `HTTP ${response.status}: ${response.statusText}`);
     }
 
     const blob = await response.blob();
 
     // Check if it's actually an image
     if (!blob.type.startsWith('image/')) {
-      throw new Error(`Not an image: ${blob.type}`);
+      throw new ConversionError(`Not an image: ${blob.type}`);
     }
 
-    const base64 = await blobToBase64(blob);
+    log('info', `Fetched ${blob.size} bytes`);
 
-    log('info', `Successfully converted to base64`);
-
-    return base64;
+    return blob;
   } catch (error) {
     log('error', `Failed to fetch image:`, error.message);
     throw error;
@@ -69,27 +285,216 @@ async function handleMessage(message, sender) {
   try {
     switch (message.type) {
       case 'CONVERT_IMAGE':
-        // CORS proxy: fetch image and convert to base64
+        // CORS proxy: fetch the image; the content script downscales and encodes it
         if (!message.url) {
           throw new Error('No URL provided');
         }
 
-        const base64 = await fetchImageAsBase64(message.url);
+        return {
+          success: true,
+          blob: await fetchImageAsBlob(message.url)
+        };
+
+      case 'CACHE_LOOKUP': {
+        // Digest the image bytes and return a cached description if present
+        // (descriptions are cached per language and long description flag)
+        if (!message.image) {
+          throw new Error('No image data provided');
+        }
+
+        keepAliveWhileBusy();
+        const digest = getCacheKey(await digestBlob(message.image), message.language, message.longDescription);
+
+        // Visually identical images with other bytes (resized or re-encoded copies) count as the same
+        const phash = getSetting('perceptualDedup') ? await computePerceptualHash(message.image) : null;
+        const maxDistance = getSetting('perceptualHashDistance');
+
+        let cached = getSetting('cacheEnabled') ? await descriptionCache.get(digest, phash, maxDistance) : null;
+
+        // The same image is being described in another frame or tab: share its result
+        const pending = cached === null ? findPendingDescription(digest, phash, maxDistance) : null;
+        if (pending) {
+          log('debug', `Waiting for pending description: ${pending.substring(0, 12)}`);
+          cached = await waitForPendingDescription(pending);
+        }
+
+        // Claim the miss so later lookups wait for this requester
+        if (cached === null && !pendingDescriptions.has(digest)) {
+          pendingDescriptions.set(digest, { tabId: sender.tab?.id, frameId: sender.frameId || 0, phash, waiters: [] });
+        }
 
         return {
           success: true,
-          base64: base64
+          digest,
+          description: cached ? cached.description : null,
+          longDescription: cached ? cached.longDescription : null
         };
+      }
+
+      case 'CACHE_DIGEST':
+        // Cache key of an image that is described again anyway (regenerate)
+        if (!message.image) {
+          throw new Error('No image data provided');
+        }
+
+        keepAliveWhileBusy();
+        return {
+          success: true,
+          digest: getCacheKey(await digestBlob(message.image), message.language, message.longDescription)
+        };
+
+      case 'CACHE_STORE':
+        if (!message.digest || typeof message.description !== 'string') {
+          throw new Error('Digest and description are required');
+        }
+
+        // The perceptual hash was computed when the miss was claimed
+        const phash = pendingDescriptions.get(message.digest)?.phash || null;
+
+        // Short and long descriptions are always cached together
+        settlePendingDescription(message.digest, {
+          description: message.description,
+          longDescription: message.longDescription || null
+        });
+
+        if (getSetting('cacheEnabled')) {
+          await descriptionCache.set(message.digest, message.description, message.longDescription || null, phash);
+        }
+
+        return { success: true };
+
+      case 'CACHE_RELEASE':
+        // The claiming frame failed; waiters fall back to their own request
+        settlePendingDescription(message.digest, null);
+        return { success: true };
+
+      case 'DESCRIBE_IMAGE': {
+        // Queue an image in the shared scheduler; the response is sent when the
+        // description is ready (streamed text goes to the frame separately)
+        if (!message.request || !message.request.image) {
+          throw new Error('No image data provided');
+        }
+        if (!sender.tab) {
+          throw new Error('Images can only be submitted from tabs');
+        }
+
+        keepAliveWhileBusy();
+
+        // Registered before the first await so a CANCEL_JOBS sent meanwhile is not lost
+        const subscriber = {
+          tabId: sender.tab.id,
+          frameId: sender.frameId || 0,
+          jobId: message.jobId,
+          priority: Number.isInteger(message.priority) ? message.priority : DEFAULT_JOB_PRIORITY,
+          ignorePause: message.ignorePause === true
+        };
+        submittingJobs.add(subscriber);
+
+        try {
+          let key;
+          try {
+            key = await getJobKey(message.request);
+          } finally {
+            submittingJobs.delete(subscriber);
+          }
+
+          if (subscriber.cancelled) {
+            throw createCancelledError();
+          }
+
+          const result = await requestScheduler.submit(key, message.request, subscriber);
+          return { success: true, ...result };
+        } catch (error) {
+          // The content script logs failed images itself
+          return { success: false, ...serializeError(error) };
+        }
+      }
+
+      case 'CANCEL_JOBS':
+        // A frame cleared its queue (all jobs) or lost some images (listed jobs): stop waiting for them
+        if (sender.tab) {
+          const frameId = sender.frameId || 0;
+          cancelJobs(subscriber => subscriber.tabId === sender.tab.id && subscriber.frameId === frameId &&
+            (!message.jobIds || message.jobIds.includes(subscriber.jobId)));
+        }
+
+        return { success: true };
+
+      case 'SET_JOB_PRIORITY':
+        // An image scrolled into or out of view
+        if (sender.tab && Number.isInteger(message.priority)) {
+          const frameId = sender.frameId || 0;
+          requestScheduler.setPriority(subscriber => subscriber.tabId === sender.tab.id &&
+            subscriber.frameId === frameId && subscriber.jobId === message.jobId, message.priority);
+        }
+
+        return { success: true };
+
+      case 'SET_QUEUE_PAUSED':
+        if (sender.tab) {
+          requestScheduler.setFramePaused(sender.tab.id, sender.frameId || 0, Boolean(message.paused));
+        }
+
+        return { success: true };
+
+      case 'GET_FRAME_CONTEXT':
+        // Frames cannot read the top-level URL across origins
+        return {
+          success: true,
+          topUrl: sender.tab ? sender.tab.url : null,
+          frameId: sender.frameId
+        };
+
+      case 'CLEAR_CACHE':
+        await descriptionCache.clear();
+        return { success: true };
+
+      case 'REPORT_STATS':
+        // Content script pushes its per-frame statistics
+        if (sender.tab) {
+          if (!tabStats.has(sender.tab.id)) {
+            tabStats.set(sender.tab.id, new Map());
+          }
+          tabStats.get(sender.tab.id).set(sender.frameId || 0, message.stats);
+          scheduleSessionSave();
+        }
+
+        return { success: true };
+
+      case 'FRAME_UNLOADED':
+        if (sender.tab && tabStats.has(sender.tab.id)) {
+          tabStats.get(sender.tab.id).delete(sender.frameId || 0);
+          scheduleSessionSave();
+        }
+        if (sender.tab) {
+          const frameId = sender.frameId || 0;
+          cancelJobs(subscriber => subscriber.tabId === sender.tab.id && subscriber.frameId === frameId);
+          releasePendingDescriptions(sender.tab.id, frameId);
+          requestScheduler.setFramePaused(sender.tab.id, frameId, false);
+        }
+
+        return { success: true };
 
       case 'GET_STATS':
-        // Return extension statistics
+        // Return statistics aggregated across tabs (and one tab if requested)
         return {
           success: true,
           stats: {
-            // Add any background-level statistics here
+            ...aggregateTabStats(),
+            cache: descriptionCache.getStats(),
+            scheduler: requestScheduler.getStats(),
+            api: getAPIStatus(),
+            tab: message.tabId !== undefined ? getTabStats(message.tabId) : undefined
           }
         };
 
+      case 'EXPORT_REPORT': {
+        // Audit report of every frame of a tab, downloaded as a file
+        const tab = await browser.tabs.get(message.tabId);
+        const result = await exportAuditReport(tab, getTabFrameIds(tab.id), message.format);
+        return { success: true, ...result };
+      }
+
       default:
         throw new Error(`Unknown message type: ${message.type}`);
     }
@@ -98,33 +503,186 @@ async function handleMessage(message, sender) {
 
     return {
       success: false,
-      error: error.message
+      ...serializeError(error)
     };
   }
 }
 
+/**
+ * Show the circuit breaker state on the toolbar button
+ * @param {string} state - Breaker state
+ */
+function updateCircuitBadge(state) {
+  const badge = CIRCUIT_BADGES[state];
+  const title = 'Image Alt Text Generator';
+
+  browser.action.setBadgeText({ text: badge ? badge.text : '' });
+  browser.action.setTitle({ title: badge ? `${title} (${badge.title})` : title });
+  if (badge) {
+    browser.action.setBadgeBackgroundColor({ color: badge.color });
+  }
+}
+
+/**
+ * Create the context menu entries
+ * Menus persist across suspensions, so this only runs on install and update.
+ */
+function createContextMenus() {
+  browser.contextMenus.removeAll().then(() => {
+    browser.contextMenus.create({
+      id: DESCRIBE_MENU_ID,
+      title: 'Describe this image',
+      contexts: DESCRIBE_MENU_CONTEXTS
+    });
+  }).catch(error => {
+    log('error', 'Could not create the context menu:', error.message);
+  });
+}
+
+/**
+ * Ask the right-clicked frame to describe the element under the pointer
+ * @param {object} info - Click details (frameId, srcUrl)
+ * @param {object} tab - Tab the menu was opened in
+ */
+function handleContextMenuClick(info, tab) {
+  if (info.menuItemId !== DESCRIBE_MENU_ID || !tab) return;
+
+  browser.tabs.sendMessage(tab.id, { type: 'DESCRIBE_TARGET', srcUrl: info.srcUrl || null }, { frameId: info.frameId || 0 })
+    .catch(error => {
+      // Pages the extension cannot run in (browser pages, add-on stores)
+      log('warn', 'Could not describe the image:', error.message);
+    });
+}
+
+/**
+ * Get the frames of a tab that run a content script
+ * @param {number} tabId - Tab ID
+ * @returns {number[]} Frame IDs (the top-level frame always included)
+ */
+function getTabFrameIds(tabId) {
+  const frames = tabStats.get(tabId);
+  return [...new Set([0, ...(frames ? frames.keys() : [])])];
+}
+
+/**
+ * Forward a keyboard shortcut to every frame of the active tab
+ * The content scripts decide which frame acts on it; the audit report is
+ * built here from all frames.
+ * @param {string} command - Command name from manifest.json
+ * @param {object} [tab] - Active tab (not passed by every browser)
+ */
+async function handleCommand(command, tab) {
+  try {
+    const [activeTab] = tab ? [tab] : await browser.tabs.query({ active: true, currentWindow: true });
+    if (!activeTab) return;
+
+    if (command === 'export-report') {
+      await backgroundReady;
+      await exportAuditReport(activeTab, getTabFrameIds(activeTab.id), 'html');
+      return;
+    }
+
+    await browser.tabs.sendMessage(activeTab.id, { type: 'RUN_COMMAND', command });
+  } catch (error) {
+    // Pages the extension cannot run in (browser pages, add-on stores)
+    log('warn', `Could not run ${command}:`, error.message);
+  }
+}
+
 /**
  * Initialize background script
  */
-function initialize() {
+async function initialize() {
   log('info', '=== Background Script Started ===');
 
   // Listen for messages from content scripts
+  // (registered before the first await so the message that woke the background is not lost;
+  // it is answered once settings and saved state are loaded)
   browser.runtime.onMessage.addListener((message, sender) => {
     // Return promise for async handling
-    return handleMessage(message, sender);
+    return backgroundReady.then(() => handleMessage(message, sender));
   });
 
+  browser.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === HEALTH_CHECK_ALARM) {
+      backgroundReady.then(() => healthChecker.check());
+    }
+  });
+
+  browser.contextMenus.onClicked.addListener(handleContextMenuClick);
+  browser.commands.onCommand.addListener(handleCommand);
+
   log('info', 'Message listener registered');
+
+  // Forget statistics of closed tabs and of tabs that navigate away
+  browser.tabs.onRemoved.addListener((tabId) => {
+    tabStats.delete(tabId);
+    scheduleSessionSave();
+
+    // Nobody is left to receive the tab's descriptions
+    requestScheduler.forgetTab(tabId);
+
+    // Images a closed tab was describing will never be stored
+    releasePendingDescriptions(tabId);
+  });
+
+  // Also fired for same-document navigations (history.pushState, fragment changes), where
+  // the content scripts live on: their jobs are only cancelled by FRAME_UNLOADED
+  browser.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.status === 'loading') {
+      tabStats.delete(tabId);
+      releasePendingDescriptions(tabId);
+      scheduleSessionSave();
+    }
+  });
+
+  await loadSettings();
+  requestScheduler.setLimits(getSetting('maxConcurrentRequests'), getSetting('batchDelayMs'));
+
+  apiCircuit.onChange(state => {
+    updateCircuitBadge(state);
+    requestScheduler.handleCircuitChange(state);
+    scheduleSessionSave();
+  });
+
+  // Pick up where the background left off before it was suspended
+  await restoreSessionState();
+  await descriptionCache.initialize();
+  await healthChecker.start();
+
+  onSettingsChanged((settings, changedKeys) => {
+    // Shrink the cache right away when its limits are lowered
+    if (changedKeys.includes('cacheMaxEntries') || changedKeys.includes('cacheTtlHours')) {
+      descriptionCache.prune();
+    }
+
+    // Apply queue limits live when they change in the options page
+    if (changedKeys.includes('maxConcurrentRequests') || changedKeys.includes('batchDelayMs')) {
+      requestScheduler.setLimits(settings.maxConcurrentRequests, settings.batchDelayMs);
+      log('info', `Queue limits updated: ${settings.maxConcurrentRequests} concurrent, ${settings.batchDelayMs}ms delay`);
+    }
+
+    // Another server (or no breaker at all) starts with a clean slate
+    if (['apiEndpoint', 'apiProfiles', 'activeApiProfile', 'circuitBreakerEnabled'].some(key => changedKeys.includes(key))) {
+      apiCircuit.reset();
+    }
+    if (['apiEndpoint', 'apiProfiles', 'activeApiProfile', 'healthCheckIntervalMs'].some(key => changedKeys.includes(key))) {
+      healthChecker.start(true);
+    }
+  });
 }
 
-// Start initialization
-initialize();
+// Start initialization; messages wait for it
+const backgroundReady = initialize().catch(error => {
+  log('error', 'Initialization failed:', error);
+});
 
 /**
  * Handle extension installation/update
  */
 browser.runtime.onInstalled.addListener((details) => {
+  createContextMenus();
+
   if (details.reason === 'install') {
     log('info', 'Extension installed');
   } else if (details.reason === 'update') {
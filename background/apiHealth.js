@@ -0,0 +1,358 @@
+/**
+ * API Health - Circuit breaker and health checks shared by all tabs
+ * Every request reports its outcome to the breaker. After circuitFailureThreshold
+ * consecutive server failures it opens: the scheduler parks queued images (or fails
+ * them, depending on circuitOpenAction) instead of retrying each one against a server
+ * that is down. After circuitCooldownMs, or as soon as a health check succeeds, it
+ * turns half-open and lets a single trial request through; its outcome closes the
+ * breaker again or reopens it for another cooldown.
+ * Health checks ping the active profile's health route every healthCheckIntervalMs.
+ * They run on browser.alarms, which wake the background after a suspension, and the
+ * breaker's state is restored from session storage (see background/sessionState.js).
+ */
+
+// Configuration comes from utils/settings.js:
+// circuitBreakerEnabled, circuitFailureThreshold, circuitCooldownMs, healthCheckIntervalMs
+
+const CIRCUIT_CLOSED = 'closed';
+const CIRCUIT_OPEN = 'open';
+const CIRCUIT_HALF_OPEN = 'half-open';
+
+const HEALTH_CHECK_ALARM = 'health-check';
+
+// Browsers do not run alarms more often than this (Chromium enforces 30 seconds)
+const MIN_ALARM_INTERVAL_MS = 30000;
+
+/**
+ * Check whether an error means the server is unreachable or failing
+ * Client errors (4xx) and unreadable answers prove the server is up and do not count.
+ * @param {Error} error - Error a request failed with
+ * @returns {boolean} True for network errors, timeouts and 5xx responses
+ */
+function isServerFailure(error) {
+  if (error.cancelled) {
+    return false;
+  }
+  if (error instanceof HttpError) {
+    return error.status >= 500;
+  }
+
+  return error instanceof NetworkError || error instanceof TimeoutError;
+}
+
+/**
+ * Check whether an error carries an answer from the server
+ * @param {Error} error - Error a request failed with
+ * @returns {boolean} True for 4xx responses and malformed or empty answers
+ */
+function isServerAnswer(error) {
+  if (error instanceof HttpError) {
+    return error.status < 500;
+  }
+  return error instanceof ResponseSchemaError;
+}
+
+class CircuitBreaker {
+  constructor() {
+    this.state = CIRCUIT_CLOSED;
+    // Consecutive server failures while closed
+    this.failures = 0;
+    this.openedAt = null;
+    this.cooldownTimer = null;
+    // Permit of the half-open trial request while it runs
+    this.trial = null;
+    this.lastChangeAt = Date.now();
+    this.listeners = [];
+  }
+
+  /**
+   * Register a listener for state changes
+   * @param {Function} listener - Called with the new state
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Switch to a new state and tell the listeners
+   * @param {string} state - CIRCUIT_CLOSED, CIRCUIT_OPEN or CIRCUIT_HALF_OPEN
+   */
+  transition(state) {
+    if (this.state === state) return;
+
+    log(state === CIRCUIT_OPEN ? 'warn' : 'info', `API circuit ${this.state} -> ${state}`);
+
+    this.state = state;
+    this.lastChangeAt = Date.now();
+    this.trial = null;
+
+    clearTimeout(this.cooldownTimer);
+    this.cooldownTimer = null;
+
+    if (state === CIRCUIT_OPEN) {
+      this.openedAt = Date.now();
+      this.cooldownTimer = setTimeout(() => this.transition(CIRCUIT_HALF_OPEN), getSetting('circuitCooldownMs'));
+    } else if (state === CIRCUIT_CLOSED) {
+      this.failures = 0;
+      this.openedAt = null;
+    }
+
+    this.listeners.forEach(listener => listener(state));
+  }
+
+  /**
+   * Check whether the breaker is open (requests are held back until the cooldown ends)
+   * @returns {boolean} True if open and enabled
+   */
+  isOpen() {
+    return getSetting('circuitBreakerEnabled') && this.state === CIRCUIT_OPEN;
+  }
+
+  /**
+   * Check whether requests may be sent right now (without taking the trial slot)
+   * @returns {boolean} True if closed, or half-open with no trial running
+   */
+  canSend() {
+    if (!getSetting('circuitBreakerEnabled') || this.state === CIRCUIT_CLOSED) {
+      return true;
+    }
+    return this.state === CIRCUIT_HALF_OPEN && !this.trial;
+  }
+
+  /**
+   * Take permission to send a request; in the half-open state only one caller gets it
+   * @returns {object|null} Permit to hand back to release() when the request ends,
+   *   or null if the request may not be sent
+   */
+  tryAcquire() {
+    if (!this.canSend()) {
+      return null;
+    }
+
+    const permit = {};
+    if (this.state === CIRCUIT_HALF_OPEN && getSetting('circuitBreakerEnabled')) {
+      this.trial = permit;
+    }
+    return permit;
+  }
+
+  /**
+   * Hand back a permit once its request has ended
+   * Only the trial request's permit does anything, and only while the trial slot is
+   * still taken: a recorded outcome already moved the breaker on, whereas a trial
+   * that ended without one (cancelled, client-side error) lets the next one go.
+   * @param {object} permit - Result of tryAcquire()
+   */
+  release(permit) {
+    if (this.trial && this.trial === permit) {
+      this.trial = null;
+      this.listeners.forEach(listener => listener(this.state));
+    }
+  }
+
+  /**
+   * Report a request the server answered
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.transition(CIRCUIT_CLOSED);
+  }
+
+  /**
+   * Report a failed request; only server failures count
+   * An answer the server gave (4xx, malformed body) proves it is up. Errors that
+   * never reached it (cancelled, unreadable image, CORS) say nothing about it and
+   * leave the state alone.
+   * @param {Error} error - Error the request failed with
+   */
+  recordFailure(error) {
+    if (!isServerFailure(error)) {
+      if (isServerAnswer(error)) {
+        this.recordSuccess();
+      }
+      return;
+    }
+
+    if (!getSetting('circuitBreakerEnabled')) {
+      return;
+    }
+
+    if (this.state === CIRCUIT_HALF_OPEN) {
+      this.transition(CIRCUIT_OPEN);
+      return;
+    }
+
+    this.failures++;
+    if (this.state === CIRCUIT_CLOSED && this.failures >= getSetting('circuitFailureThreshold')) {
+      this.transition(CIRCUIT_OPEN);
+    }
+  }
+
+  /**
+   * Report a health check result
+   * A healthy server only lets the next trial request through early: the breaker
+   * closes once a real request succeeds.
+   * @param {boolean} healthy - Whether the health route answered
+   * @param {Error} [error] - Error the check failed with
+   */
+  recordHealth(healthy, error) {
+    if (healthy) {
+      if (this.state === CIRCUIT_OPEN) {
+        this.transition(CIRCUIT_HALF_OPEN);
+      }
+    } else if (this.state !== CIRCUIT_OPEN) {
+      this.recordFailure(error);
+    }
+  }
+
+  /**
+   * Put back the state saved before the background was suspended
+   * A cooldown that ended meanwhile turns the breaker half-open; a trial request
+   * that was running did not survive and is not waited for.
+   * @param {{state: string, failures: number, openedAt: number|null}} saved - Result of getStatus()
+   */
+  restore(saved) {
+    this.state = saved.state;
+    this.failures = saved.failures;
+    this.openedAt = saved.openedAt;
+    this.trial = null;
+
+    if (this.state === CIRCUIT_OPEN) {
+      const remaining = this.openedAt + getSetting('circuitCooldownMs') - Date.now();
+      if (remaining <= 0) {
+        this.state = CIRCUIT_HALF_OPEN;
+      } else {
+        this.cooldownTimer = setTimeout(() => this.transition(CIRCUIT_HALF_OPEN), remaining);
+      }
+    }
+
+    this.listeners.forEach(listener => listener(this.state));
+  }
+
+  /**
+   * Close the breaker and forget past failures (for example after switching servers)
+   */
+  reset() {
+    this.failures = 0;
+    this.transition(CIRCUIT_CLOSED);
+  }
+
+  /**
+   * Get the breaker state for the popup
+   * @returns {{state: string, failures: number, openedAt: number|null, retryAt: number|null}} State
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt,
+      retryAt: this.state === CIRCUIT_OPEN ? this.openedAt + getSetting('circuitCooldownMs') : null
+    };
+  }
+}
+
+/**
+ * Ping the active profile's health route
+ * Any answer below 500 counts as healthy: the server is reachable and not failing.
+ * @returns {Promise<{healthy: boolean, error: Error|null}>} Result
+ */
+async function checkAPIHealth() {
+  const profile = getActiveApiProfile();
+  const { url, init } = getApiProvider(profile.provider).getHealthRequest(profile);
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), getSetting('requestTimeoutMs'));
+
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    if (response.status >= 500) {
+      return { healthy: false, error: new HttpError(response.status, `Health check returned ${response.status}`) };
+    }
+    return { healthy: true, error: null };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return { healthy: false, error: new TimeoutError('Health check timeout') };
+    }
+    return { healthy: false, error: new NetworkError(`Health check failed: ${error.message}`, error) };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Periodic health checks feeding a circuit breaker
+ */
+class HealthChecker {
+  /**
+   * @param {CircuitBreaker} circuit - Breaker to report to
+   */
+  constructor(circuit) {
+    this.circuit = circuit;
+    this.lastCheckAt = null;
+    this.lastHealthy = null;
+  }
+
+  /**
+   * Schedule a check every healthCheckIntervalMs (0 disables the checks)
+   * An alarm that is already scheduled with the same period is kept, so waking up from
+   * a suspension does not postpone it; otherwise the server is checked right away.
+   * @param {boolean} [restart] - Reschedule and check now even if the alarm exists
+   *   (after the interval or the server changed)
+   * @returns {Promise<void>}
+   */
+  async start(restart = false) {
+    const interval = getSetting('healthCheckIntervalMs');
+    if (interval === 0) {
+      await browser.alarms.clear(HEALTH_CHECK_ALARM);
+      return;
+    }
+
+    const periodInMinutes = Math.max(interval, MIN_ALARM_INTERVAL_MS) / 60000;
+    const existing = await browser.alarms.get(HEALTH_CHECK_ALARM);
+    if (!restart && existing && existing.periodInMinutes === periodInMinutes) {
+      return;
+    }
+
+    browser.alarms.create(HEALTH_CHECK_ALARM, { periodInMinutes });
+    this.check();
+  }
+
+  /**
+   * Run one health check
+   * @returns {Promise<boolean>} Whether the server is healthy
+   */
+  async check() {
+    const { healthy, error } = await checkAPIHealth();
+
+    // Only log changes, a server that stays down would otherwise flood the console
+    if (healthy !== this.lastHealthy) {
+      log(healthy ? 'info' : 'warn', healthy ? 'API health check passed' : `API health check failed: ${error.message}`);
+    }
+
+    this.lastCheckAt = Date.now();
+    this.lastHealthy = healthy;
+    this.circuit.recordHealth(healthy, error);
+    scheduleSessionSave();
+    return healthy;
+  }
+
+  /**
+   * Put back the result saved before the background was suspended
+   * @param {{lastCheckAt: number|null, healthy: boolean|null}} saved - Result of getStatus()
+   */
+  restore(saved) {
+    this.lastCheckAt = saved.lastCheckAt;
+    this.lastHealthy = saved.healthy;
+  }
+
+  /**
+   * Get the result of the most recent check
+   * @returns {{lastCheckAt: number|null, healthy: boolean|null}} Result
+   */
+  getStatus() {
+    return {
+      lastCheckAt: this.lastCheckAt,
+      healthy: this.lastHealthy
+    };
+  }
+}
@@ -0,0 +1,299 @@
+/**
+ * Audit Report - Exports what happened to every image of a tab
+ * The entries of all frames (content/audit.js) are merged into one report and
+ * downloaded as JSON, CSV, or a self-contained HTML page whose thumbnails are
+ * embedded as data URLs, so the file can be attached to a ticket as it is.
+ */
+
+const REPORT_FORMATS = {
+  json: { mimeType: 'application/json', extension: 'json' },
+  csv: { mimeType: 'text/csv', extension: 'csv' },
+  html: { mimeType: 'text/html', extension: 'html' }
+};
+
+// Report columns, in CSV and HTML order
+const REPORT_COLUMNS = [
+  'frameUrl', 'src', 'kind', 'width', 'height', 'originalAlt', 'generatedAlt',
+  'rejectedBy', 'status', 'errorType', 'error', 'startedAt', 'durationMs'
+];
+
+// Longest side of thumbnails (px) and how many are fetched at once
+const REPORT_THUMBNAIL_SIZE = 96;
+const THUMBNAIL_CONCURRENCY = 4;
+const THUMBNAIL_TIMEOUT_MS = 10000;
+
+// SVG files are embedded as they are if they are not larger than this
+const MAX_SVG_THUMBNAIL_BYTES = 100000;
+
+/**
+ * Collect the audit entries of every frame of a tab
+ * @param {number} tabId - Tab ID
+ * @param {number[]} frameIds - Frames with a content script
+ * @param {boolean} thumbnails - Ask the frames for thumbnails of images without a URL
+ * @returns {Promise<object[]>} Entries with the URL of their frame
+ */
+async function collectTabAudit(tabId, frameIds, thumbnails) {
+  const responses = await Promise.all(frameIds.map(frameId =>
+    browser.tabs.sendMessage(tabId, { type: 'COLLECT_AUDIT', thumbnails }, { frameId }).catch(error => {
+      log('debug', `No audit from frame ${frameId}:`, error.message);
+      return null;
+    })
+  ));
+
+  return responses
+    .filter(response => response && response.success)
+    .flatMap(({ frameUrl, entries }) => entries.map(entry => ({ frameUrl, ...entry })));
+}
+
+/**
+ * Make a small JPEG of an image URL
+ * @param {string} url - Image URL
+ * @returns {Promise<string|null>} Data URL, or null if the image cannot be fetched or decoded
+ */
+async function createThumbnail(url) {
+  let timeoutId;
+  const timeout = new Promise((resolve, reject) => {
+    timeoutId = setTimeout(() => reject(new TimeoutError('Thumbnail timeout')), THUMBNAIL_TIMEOUT_MS);
+  });
+
+  try {
+    const blob = await Promise.race([fetchImageAsBlob(url), timeout]);
+
+    // Not every browser decodes SVG into a bitmap; small files are embedded instead
+    if (blob.type === 'image/svg+xml') {
+      return blob.size <= MAX_SVG_THUMBNAIL_BYTES ? blobToDataUrl(blob) : null;
+    }
+
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, REPORT_THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = new OffscreenCanvas(
+      Math.max(1, Math.round(bitmap.width * scale)),
+      Math.max(1, Math.round(bitmap.height * scale))
+    );
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    return blobToDataUrl(await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.7 }));
+  } catch (error) {
+    log('debug', `No thumbnail for ${url.substring(0, 50)}:`, error.message);
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Add thumbnails to the entries that have a URL (each URL is fetched once)
+ * @param {object[]} entries - Report entries, changed in place
+ * @returns {Promise<void>}
+ */
+async function addThumbnails(entries) {
+  const urls = [...new Set(entries.filter(entry => entry.src && !entry.thumbnail).map(entry => entry.src))];
+  const thumbnails = new Map();
+
+  // A few workers share the list so one slow server does not hold up the rest
+  const workers = Array.from({ length: Math.min(THUMBNAIL_CONCURRENCY, urls.length) }, async () => {
+    while (urls.length > 0) {
+      const url = urls.shift();
+      thumbnails.set(url, await createThumbnail(url));
+    }
+  });
+  await Promise.all(workers);
+
+  for (const entry of entries) {
+    if (entry.src && !entry.thumbnail) {
+      entry.thumbnail = thumbnails.get(entry.src);
+    }
+  }
+}
+
+/**
+ * Count entries per status
+ * @param {object[]} entries - Report entries
+ * @returns {object} Status -> count
+ */
+function summarizeEntries(entries) {
+  const summary = {};
+  for (const { status } of entries) {
+    summary[status] = (summary[status] || 0) + 1;
+  }
+  return summary;
+}
+
+/**
+ * Quote a CSV field
+ * Fields starting with a formula character are prefixed with ' so spreadsheets
+ * do not run page-supplied text (alt attributes) as formulas.
+ * @param {*} value - Field value
+ * @returns {string} Quoted field
+ */
+function formatCsvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Show a timestamp readably (ISO 8601, UTC)
+ * @param {number|null} timestamp - Milliseconds since the epoch
+ * @returns {string|null} Date, or null
+ */
+function formatTimestamp(timestamp) {
+  return timestamp === null ? null : new Date(timestamp).toISOString();
+}
+
+/**
+ * Format a report as CSV (one row per image, no thumbnails)
+ * @param {object} report - Report from buildAuditReport()
+ * @returns {string} CSV text
+ */
+function formatReportCsv(report) {
+  const rows = report.images.map(entry => REPORT_COLUMNS.map(column =>
+    formatCsvField(column === 'startedAt' ? formatTimestamp(entry.startedAt) : entry[column])
+  ).join(','));
+
+  return [REPORT_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Format a report as a standalone HTML page
+ * @param {object} report - Report from buildAuditReport()
+ * @returns {string} HTML document
+ */
+function formatReportHtml(report) {
+  const summary = Object.entries(report.summary)
+    .map(([status, count]) => `<li>${escapeHtml(status)}: ${count}</li>`)
+    .join('');
+
+  const rows = report.images.map(entry => {
+    const thumbnail = entry.thumbnail
+      ? `<img src="${escapeHtml(entry.thumbnail)}" alt="">`
+      : '';
+    const cells = REPORT_COLUMNS.map(column => {
+      const value = column === 'startedAt' ? formatTimestamp(entry.startedAt) : entry[column];
+      return `<td>${escapeHtml(value)}</td>`;
+    }).join('');
+    return `<tr class="${escapeHtml(entry.status)}"><td>${thumbnail}</td>${cells}</tr>`;
+  }).join('\n');
+
+  const headers = ['thumbnail', ...REPORT_COLUMNS].map(column => `<th scope="col">${column}</th>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Image accessibility audit: ${escapeHtml(report.page.title || report.page.url)}</title>
+<style>
+  body { font: 13px/1.4 system-ui, sans-serif; color: #202124; margin: 16px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #dadce0; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #f1f3f4; position: sticky; top: 0; }
+  td { word-break: break-word; max-width: 320px; }
+  td img { max-width: ${REPORT_THUMBNAIL_SIZE}px; max-height: ${REPORT_THUMBNAIL_SIZE}px; }
+  tr.failed td { background: #fce8e6; }
+  tr.filtered td, tr.pending td { color: #5f6368; }
+</style>
+</head>
+<body>
+<h1>Image accessibility audit</h1>
+<p>Page: <a href="${escapeHtml(report.page.url)}">${escapeHtml(report.page.url)}</a><br>
+Generated: ${escapeHtml(report.generatedAt)}<br>
+Images: ${report.images.length}</p>
+<ul>${summary}</ul>
+<table>
+<thead><tr>${headers}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Build the report of a tab
+ * @param {{id: number, url: string, title: string}} tab - Tab to audit
+ * @param {number[]} frameIds - Frames with a content script
+ * @param {boolean} thumbnails - Include thumbnails
+ * @returns {Promise<object>} Report: {generatedAt, page, summary, images}
+ */
+async function buildAuditReport(tab, frameIds, thumbnails) {
+  const images = await collectTabAudit(tab.id, frameIds, thumbnails);
+
+  if (thumbnails) {
+    await addThumbnails(images);
+  } else {
+    images.forEach(entry => { delete entry.thumbnail; });
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    page: { url: tab.url, title: tab.title },
+    summary: summarizeEntries(images),
+    images
+  };
+}
+
+/**
+ * Build a tab's report and download it
+ * @param {{id: number, url: string, title: string}} tab - Tab to audit
+ * @param {number[]} frameIds - Frames with a content script
+ * @param {string} format - Key of REPORT_FORMATS
+ * @returns {Promise<{filename: string, count: number}>} Saved file name and number of images
+ */
+async function exportAuditReport(tab, frameIds, format) {
+  const { mimeType, extension } = REPORT_FORMATS[format] || REPORT_FORMATS.json;
+  const report = await buildAuditReport(tab, frameIds, extension === 'html');
+
+  const content = extension === 'csv'
+    ? formatReportCsv(report)
+    : extension === 'html' ? formatReportHtml(report) : JSON.stringify(report, null, 2);
+
+  let host = 'page';
+  try {
+    host = new URL(tab.url).hostname || host;
+  } catch (error) {
+    // Keep the generic name
+  }
+  const filename = `image-alt-audit-${host}-${report.generatedAt.replace(/[:.]/g, '-')}.${extension}`;
+
+  // Service workers (Chromium) have no object URLs; event pages (Firefox) do not download data URLs
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const useObjectUrl = typeof URL.createObjectURL === 'function';
+  const url = useObjectUrl ? URL.createObjectURL(blob) : await blobToDataUrl(blob);
+
+  const downloadId = await browser.downloads.download({ url, filename });
+
+  if (useObjectUrl) {
+    const revokeWhenDone = (delta) => {
+      if (delta.id === downloadId && delta.state && delta.state.current !== 'in_progress') {
+        URL.revokeObjectURL(url);
+        browser.downloads.onChanged.removeListener(revokeWhenDone);
+      }
+    };
+    browser.downloads.onChanged.addListener(revokeWhenDone);
+  }
+
+  log('info', `Exported audit report of ${report.images.length} images: ${filename}`);
+  return { filename, count: report.images.length };
+}
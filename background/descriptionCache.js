@@ -0,0 +1,300 @@
+/**
+ * Description Cache - Persistent cache of API descriptions keyed by image content
+ * Entries live in browser.storage.local under `cache:<sha256>:<language>[:long]` keys,
+ * so each language of the same image, with or without a long description, is
+ * cached separately.
+ * An in-memory index ordered by last access drives TTL expiry and LRU eviction;
+ * it also holds each entry's perceptual hash, so near-duplicate lookups never
+ * touch storage.
+ */
+
+const CACHE_KEY_PREFIX = 'cache:';
+
+/**
+ * Compute a SHA-256 hex digest of an image blob's bytes
+ * @param {Blob} blob - Image blob
+ * @returns {Promise<string>} Hex digest
+ */
+async function digestBlob(blob) {
+  const hash = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+
+  return Array.from(new Uint8Array(hash))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Build the cache key for an image digest, description language and long description flag
+ * @param {string} digest - Hex digest of the image
+ * @param {string} [language] - Language tag of the description
+ * @param {boolean} [longDescription] - Whether a long description was asked for
+ * @returns {string} Cache key
+ */
+function getCacheKey(digest, language, longDescription = false) {
+  const key = language ? `${digest}:${language.toLowerCase()}` : digest;
+  return longDescription ? `${key}:long` : key;
+}
+
+/**
+ * Get the part of a cache key after the digest: language and long description flag
+ * Near-duplicate images only share descriptions when this part is the same.
+ * @param {string} key - Cache key from getCacheKey()
+ * @returns {string} Lowercase language tag and ':long' if present, '' if the key has neither
+ */
+function getCacheKeyVariant(key) {
+  const separator = key.indexOf(':');
+  return separator === -1 ? '' : key.substring(separator + 1);
+}
+
+class DescriptionCache {
+  constructor() {
+    // digest -> { createdAt, lastAccess, phash }, iteration order = least recently used first
+    this.index = new Map();
+
+    this.stats = {
+      hits: 0,
+      similarHits: 0,
+      misses: 0
+    };
+
+    // Promise for the initial index load, created on first use
+    this.ready = null;
+  }
+
+  /**
+   * Load the index once; safe to call repeatedly
+   * @returns {Promise<void>}
+   */
+  initialize() {
+    if (!this.ready) {
+      this.ready = this.load();
+    }
+    return this.ready;
+  }
+
+  /**
+   * Build the in-memory index from storage and drop expired entries
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const stored = await browser.storage.local.get(null);
+
+    const entries = Object.entries(stored)
+      .filter(([key]) => key.startsWith(CACHE_KEY_PREFIX))
+      .map(([key, entry]) => ({ digest: key.substring(CACHE_KEY_PREFIX.length), entry }))
+      .sort((a, b) => a.entry.lastAccess - b.entry.lastAccess);
+
+    for (const { digest, entry } of entries) {
+      this.index.set(digest, {
+        createdAt: entry.createdAt,
+        lastAccess: entry.lastAccess,
+        phash: entry.phash || null
+      });
+    }
+
+    await this.prune();
+
+    log('info', `Description cache loaded: ${this.index.size} entries`);
+  }
+
+  /**
+   * Check whether an index entry is older than the configured TTL
+   * @param {object} meta - Index entry
+   * @returns {boolean} True if expired
+   */
+  isExpired(meta) {
+    const ttlMs = getSetting('cacheTtlHours') * 60 * 60 * 1000;
+    return Date.now() - meta.createdAt > ttlMs;
+  }
+
+  /**
+   * Remove expired entries and evict least recently used ones above the size cap
+   * @returns {Promise<void>}
+   */
+  async prune() {
+    const toRemove = [];
+
+    for (const [digest, meta] of this.index) {
+      if (this.isExpired(meta)) {
+        toRemove.push(digest);
+      }
+    }
+
+    const maxEntries = getSetting('cacheMaxEntries');
+    const remaining = this.index.size - toRemove.length;
+
+    if (remaining > maxEntries) {
+      let excess = remaining - maxEntries;
+      for (const digest of this.index.keys()) {
+        if (excess === 0) break;
+        if (!toRemove.includes(digest)) {
+          toRemove.push(digest);
+          excess--;
+        }
+      }
+    }
+
+    if (toRemove.length === 0) {
+      return;
+    }
+
+    toRemove.forEach(digest => this.index.delete(digest));
+    await browser.storage.local.remove(toRemove.map(digest => CACHE_KEY_PREFIX + digest));
+
+    log('debug', `Description cache pruned ${toRemove.length} entries`);
+  }
+
+  /**
+   * Look up a description by image digest, falling back to a visually identical image
+   * @param {string} digest - Cache key of the image (SHA-256 digest and language)
+   * @param {string|null} [phash] - Perceptual hash of the image; null for exact lookups only
+   * @param {number} [maxDistance] - Largest Hamming distance that counts as the same image
+   * @returns {Promise<{description: string, longDescription: string|null}|null>} Cached descriptions, or null on a miss
+   */
+  async get(digest, phash = null, maxDistance = 0) {
+    await this.initialize();
+
+    const exact = await this.read(digest);
+    if (exact) {
+      this.stats.hits++;
+      return exact;
+    }
+
+    const similar = phash ? this.findSimilar(phash, digest, maxDistance) : null;
+    const reused = similar ? await this.read(similar) : null;
+    if (reused) {
+      log('debug', `Reusing description of a similar image: ${similar.substring(0, 12)}`);
+      this.stats.similarHits++;
+      return reused;
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * Read an entry and mark it as recently used
+   * @param {string} digest - Cache key
+   * @returns {Promise<{description: string, longDescription: string|null}|null>} Cached descriptions, or null
+   */
+  async read(digest) {
+    const meta = this.index.get(digest);
+    if (!meta || this.isExpired(meta)) {
+      if (meta) {
+        await this.delete(digest);
+      }
+      return null;
+    }
+
+    const key = CACHE_KEY_PREFIX + digest;
+    const stored = await browser.storage.local.get(key);
+    const entry = stored[key];
+
+    if (!entry) {
+      this.index.delete(digest);
+      return null;
+    }
+
+    // Move to the most recently used end
+    meta.lastAccess = Date.now();
+    this.index.delete(digest);
+    this.index.set(digest, meta);
+
+    entry.lastAccess = meta.lastAccess;
+    await browser.storage.local.set({ [key]: entry });
+
+    return {
+      description: entry.description,
+      longDescription: entry.longDescription || null
+    };
+  }
+
+  /**
+   * Find the entry of the most similar image in the same language
+   * @param {string} phash - Perceptual hash of the image
+   * @param {string} key - Cache key of the image (its language and long description flag are matched)
+   * @param {number} maxDistance - Largest Hamming distance that counts as the same image
+   * @returns {string|null} Cache key of the closest entry, or null if none is close enough
+   */
+  findSimilar(phash, key, maxDistance) {
+    const variant = getCacheKeyVariant(key);
+    let closest = null;
+    let closestDistance = maxDistance + 1;
+
+    for (const [digest, meta] of this.index) {
+      if (!meta.phash || digest === key || getCacheKeyVariant(digest) !== variant || this.isExpired(meta)) {
+        continue;
+      }
+
+      const distance = getHammingDistance(phash, meta.phash);
+      if (distance < closestDistance) {
+        closest = digest;
+        closestDistance = distance;
+      }
+    }
+
+    return closest;
+  }
+
+  /**
+   * Store a description for an image digest
+   * @param {string} digest - SHA-256 hex digest of the image bytes
+   * @param {string} description - Description returned by the API
+   * @param {string|null} [longDescription] - Long description, stored with the short one
+   * @param {string|null} [phash] - Perceptual hash of the image (kept from the previous entry if omitted)
+   * @returns {Promise<void>}
+   */
+  async set(digest, description, longDescription = null, phash = null) {
+    await this.initialize();
+
+    const now = Date.now();
+    const entry = {
+      description,
+      longDescription,
+      phash: phash || this.index.get(digest)?.phash || null,
+      createdAt: now,
+      lastAccess: now
+    };
+
+    this.index.delete(digest);
+    this.index.set(digest, { createdAt: now, lastAccess: now, phash: entry.phash });
+
+    await browser.storage.local.set({ [CACHE_KEY_PREFIX + digest]: entry });
+    await this.prune();
+  }
+
+  /**
+   * Remove a single entry
+   * @param {string} digest - SHA-256 hex digest
+   * @returns {Promise<void>}
+   */
+  async delete(digest) {
+    this.index.delete(digest);
+    await browser.storage.local.remove(CACHE_KEY_PREFIX + digest);
+  }
+
+  /**
+   * Remove every cached description
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.initialize();
+
+    const keys = Array.from(this.index.keys()).map(digest => CACHE_KEY_PREFIX + digest);
+    this.index.clear();
+    await browser.storage.local.remove(keys);
+
+    log('warn', 'Description cache cleared');
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    return {
+      entries: this.index.size,
+      ...this.stats
+    };
+  }
+}
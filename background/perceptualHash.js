@@ -0,0 +1,79 @@
+/**
+ * Perceptual Hash - Recognizes visually identical images with different bytes
+ * CDN resize variants, srcset candidates and re-encoded copies of one photo have
+ * different SHA-256 digests but nearly the same difference hash (dHash): the image
+ * is shrunk to a 9x8 grayscale thumbnail and each bit records whether a pixel is
+ * brighter than its right neighbour. Similar images differ in only a few bits.
+ */
+
+// Thumbnail size: one extra column so every row yields 8 comparisons (64 bits)
+const DHASH_WIDTH = 9;
+const DHASH_HEIGHT = 8;
+
+// Number of set bits in each hex digit
+const NIBBLE_BIT_COUNTS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+/**
+ * Compute the difference hash of an image
+ * @param {Blob} blob - Encoded image
+ * @returns {Promise<string|null>} 16 hex digits, or null if the image cannot be decoded
+ */
+async function computePerceptualHash(blob) {
+  let bitmap;
+
+  try {
+    bitmap = await createImageBitmap(blob, {
+      resizeWidth: DHASH_WIDTH,
+      resizeHeight: DHASH_HEIGHT,
+      resizeQuality: 'high'
+    });
+  } catch (error) {
+    log('debug', 'Perceptual hash skipped, image not decodable:', error.message);
+    return null;
+  }
+
+  const canvas = new OffscreenCanvas(DHASH_WIDTH, DHASH_HEIGHT);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  const { data } = ctx.getImageData(0, 0, DHASH_WIDTH, DHASH_HEIGHT);
+
+  // Luma of every pixel (transparent pixels count as white, like the JPEG encoder paints them)
+  const gray = [];
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = data[i + 3] / 255;
+    const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    gray.push(luma * alpha + 255 * (1 - alpha));
+  }
+
+  let hash = '';
+  for (let y = 0; y < DHASH_HEIGHT; y++) {
+    for (let x = 0; x < DHASH_WIDTH - 1; x += 4) {
+      let nibble = 0;
+      for (let bit = 0; bit < 4; bit++) {
+        const offset = y * DHASH_WIDTH + x + bit;
+        nibble = (nibble << 1) | (gray[offset] > gray[offset + 1] ? 1 : 0);
+      }
+      hash += nibble.toString(16);
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * Count the bits in which two perceptual hashes differ
+ * @param {string} a - Hash from computePerceptualHash()
+ * @param {string} b - Hash from computePerceptualHash()
+ * @returns {number} Hamming distance (0-64)
+ */
+function getHammingDistance(a, b) {
+  let distance = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    distance += NIBBLE_BIT_COUNTS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+  }
+
+  return distance;
+}
@@ -0,0 +1,1073 @@
+/**
+ * Request Scheduler - One queue for the API requests of all tabs
+ * Content scripts submit images over messaging (DESCRIBE_IMAGE). A single concurrency
+ * limit covers every tab, images on screen go before those further down the page,
+ * tabs take turns, identical images requested by several tabs are sent once, and
+ * jobs nobody waits for any more are dropped or aborted.
+ * Retries, streaming and batching happen here; the wire format is delegated to the
+ * active profile's adapter (utils/apiProviders.js). While the circuit breaker
+ * (background/apiHealth.js) is open, queued jobs are parked or failed.
+ */
+
+// Configuration comes from utils/settings.js:
+// apiEndpoint, apiProfiles, activeApiProfile, maxConcurrentRequests, batchDelayMs, maxRetries,
+// requestTimeoutMs, streamIdleTimeoutMs, batchingEnabled, batchWindowMs, batchMaxImages, batchMaxSizeMb,
+// circuitOpenAction
+
+// Priority of images whose frame did not say (lower is sent first)
+const DEFAULT_JOB_PRIORITY = 2;
+
+// How long a batch support answer is trusted
+const BATCH_SUPPORT_TTL_MS = 10 * 60 * 1000;
+
+// Backoff between attempts: doubles from the base up to the cap, then half of it is randomized
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+
+// A server asking to wait longer than this fails the image instead
+const MAX_RETRY_AFTER_MS = 120000;
+
+// Client errors worth another attempt: request timeout, too early, too many requests
+const RETRYABLE_CLIENT_STATUSES = [408, 425, 429];
+
+// Server errors that will not go away by retrying: not implemented, HTTP version not supported
+const PERMANENT_SERVER_STATUSES = [501, 505];
+
+// Batch endpoint -> {pending, callbacks} while checking, then {support, checkedAt}
+const batchSupport = new Map();
+
+// Outcome of the most recent API request, shown in the toolbar popup
+const apiStatus = {
+  lastSuccessAt: null,
+  lastErrorAt: null,
+  lastError: null
+};
+
+registerSessionState('apiStatus', {
+  save: () => apiStatus,
+  restore: saved => Object.assign(apiStatus, saved)
+});
+
+/**
+ * Record the outcome of a request for the popup
+ * @param {Error|null} error - Error the request failed with, null on success
+ */
+function updateApiStatus(error) {
+  if (error) {
+    apiStatus.lastErrorAt = Date.now();
+    apiStatus.lastError = error.message;
+  } else {
+    apiStatus.lastSuccessAt = Date.now();
+  }
+  scheduleSessionSave();
+}
+
+/**
+ * Sleep for specified milliseconds
+ * @param {number} ms - Milliseconds to sleep
+ * @param {AbortSignal} [signal] - Ends the sleep early with a cancelled error
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createCancelledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(createCancelledError());
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Build the error a job fails with when it is cancelled
+ * @returns {Error} Error with `cancelled` set
+ */
+function createCancelledError() {
+  const error = new Error('Request cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+/**
+ * Build the error jobs fail with while the circuit breaker is open
+ * @returns {NetworkError} Error with `circuitOpen` set
+ */
+function createCircuitOpenError() {
+  const error = new NetworkError('API unavailable, waiting for the server to recover');
+  error.circuitOpen = true;
+  return error;
+}
+
+/**
+ * Decide whether another attempt could succeed
+ * Network errors, timeouts, rate limiting and most server errors are retried; other
+ * client errors and answers in the wrong format would fail the same way again.
+ * @param {Error} error - Error the attempt failed with
+ * @returns {boolean} True if the request should be retried
+ */
+function isRetryable(error) {
+  if (error instanceof HttpError) {
+    return error.status >= 500
+      ? !PERMANENT_SERVER_STATUSES.includes(error.status)
+      : RETRYABLE_CLIENT_STATUSES.includes(error.status);
+  }
+
+  // The server's final answer: malformed or empty responses, and errors it reported
+  // inside a stream or for one image of a batch
+  if (error instanceof ResponseSchemaError) {
+    return false;
+  }
+
+  // The image itself cannot be read; sending it again changes nothing
+  if (error instanceof ConversionError || error instanceof CorsError) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Get how long to wait before the next attempt
+ * The server's Retry-After wins; otherwise exponential backoff with jitter, so
+ * images that failed together do not all come back at the same moment.
+ * @param {Error} error - Error the attempt failed with
+ * @param {number} attempt - Number of the failed attempt (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt) {
+  if (error instanceof HttpError && error.retryAfterMs !== null) {
+    return error.retryAfterMs;
+  }
+
+  const backoff = Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1), RETRY_MAX_DELAY_MS);
+  return backoff / 2 + Math.random() * backoff / 2;
+}
+
+/**
+ * Build the key under which identical requests are merged
+ * Like the description cache, the key covers the image bytes, the language and the
+ * long description flag but not the page context: the first request's context is used.
+ * @param {object} request - Request data
+ * @returns {Promise<string>} Job key
+ */
+async function getJobKey(request) {
+  return getCacheKey(await digestBlob(request.image), request.language, request.longDescription);
+}
+
+/**
+ * Send a message about a job to the frame that submitted it
+ * @param {object} subscriber - Frame waiting for the job
+ * @param {object} message - Message (the frame's own job ID is added)
+ */
+function notifySubscriber(subscriber, message) {
+  browser.tabs.sendMessage(subscriber.tabId, { ...message, jobId: subscriber.jobId }, { frameId: subscriber.frameId })
+    .catch(() => {
+      // The frame navigated away; its jobs are cancelled separately
+    });
+}
+
+/**
+ * Get the priority of a job: the most urgent one among the frames waiting for it
+ * @param {object} job - Job
+ * @returns {number} Priority, lower is sent first
+ */
+function getJobPriority(job) {
+  return Math.min(...job.subscribers.map(subscriber => subscriber.priority));
+}
+
+/**
+ * Queue shared by all tabs
+ * The most urgent jobs go first (visible images, then those near the viewport, then
+ * the rest); among equally urgent jobs the next one comes from the tab whose turn it
+ * is, so one tab with hundreds of images cannot starve the others.
+ */
+class RequestScheduler {
+  constructor(concurrency = getSetting('maxConcurrentRequests'), delayMs = getSetting('batchDelayMs')) {
+    this.concurrency = concurrency;
+    this.delayMs = delayMs;
+    // Jobs waiting to be sent, oldest first
+    this.queue = [];
+    // Key -> queued or running job, for merging identical requests
+    this.jobs = new Map();
+    this.active = 0;
+    // "tabId:frameId" of frames whose images are paused
+    this.pausedFrames = new Set();
+    // Tab ID -> turn of its most recently started job (lower turns go first)
+    this.lastTurns = new Map();
+    this.turn = 0;
+    this.processTimer = null;
+    this.stats = {
+      total: 0,
+      success: 0,
+      failed: 0,
+      merged: 0
+    };
+  }
+
+  /**
+   * Submit a request on behalf of a frame
+   * @param {string} key - Job key from getJobKey()
+   * @param {object} request - Request data for the adapter ({image, language, context, longDescription, stream})
+   * @param {{tabId: number, frameId: number, jobId: string, priority: number, ignorePause: boolean}} subscriber -
+   *   Submitting frame, its own job ID, how urgent the image is to it and whether it was asked for
+   *   by the user (sent even while the frame is paused)
+   * @returns {Promise<{description: string, longDescription: string|null}>} Result from API
+   */
+  submit(key, request, subscriber) {
+    return new Promise((resolve, reject) => {
+      const entry = { ...subscriber, resolve, reject };
+      const existing = this.jobs.get(key);
+
+      // The same image is already queued or being described: wait for that job
+      if (existing) {
+        existing.subscribers.push(entry);
+        this.stats.merged++;
+        log('debug', `Merged with pending request: ${key.substring(0, 12)}`);
+
+        if (existing.started) {
+          notifySubscriber(entry, { type: 'DESCRIPTION_PROGRESS', started: true });
+        }
+        this.process();
+        return;
+      }
+
+      // Nothing is sent while the server is down; don't queue what would fail anyway
+      if (apiCircuit.isOpen() && getSetting('circuitOpenAction') === 'fail') {
+        this.stats.failed++;
+        reject(createCircuitOpenError());
+        return;
+      }
+
+      const job = {
+        key,
+        request,
+        // Streamed answers need their own connection; everything else may be batched
+        batchable: !request.stream,
+        // Tab whose turn the job counts against
+        tabId: subscriber.tabId,
+        subscribers: [entry],
+        queuedAt: Date.now(),
+        started: false,
+        controller: null,
+        batch: null
+      };
+
+      this.jobs.set(key, job);
+      this.queue.push(job);
+      this.stats.total++;
+      this.process();
+    });
+  }
+
+  /**
+   * Check whether any frame waiting for a job is not paused (or asked for the image itself)
+   * @param {object} job - Job
+   * @returns {boolean} True if the job may be sent
+   */
+  isRunnable(job) {
+    return job.subscribers.some(subscriber =>
+      subscriber.ignorePause || !this.pausedFrames.has(`${subscriber.tabId}:${subscriber.frameId}`));
+  }
+
+  /**
+   * Find the job to send next: the most urgent runnable job, and among those
+   * the oldest one of the tab that waited longest for its turn
+   * @param {Function} [filter] - Only consider jobs for which this returns true
+   * @returns {object|null} Job, still in the queue
+   */
+  pickNext(filter = () => true) {
+    let next = null;
+    let nextPriority = Infinity;
+
+    for (const job of this.queue) {
+      if (!filter(job) || !this.isRunnable(job)) continue;
+
+      const priority = getJobPriority(job);
+      if (priority < nextPriority ||
+          (priority === nextPriority && (this.lastTurns.get(job.tabId) || 0) < (this.lastTurns.get(next.tabId) || 0))) {
+        next = job;
+        nextPriority = priority;
+      }
+    }
+
+    return next;
+  }
+
+  /**
+   * Remove a job from the queue and use up its tab's turn
+   * @param {object} job - Queued job
+   */
+  take(job) {
+    this.queue.splice(this.queue.indexOf(job), 1);
+    this.lastTurns.set(job.tabId, ++this.turn);
+  }
+
+  /**
+   * Process the queue
+   * With batching enabled, batchable jobs wait up to batchWindowMs for others
+   * to join and are then sent together.
+   */
+  async process() {
+    if (this.active >= this.concurrency) {
+      return;
+    }
+
+    // Parked until the circuit breaker lets requests through again
+    if (!apiCircuit.canSend()) {
+      return;
+    }
+
+    const next = this.pickNext();
+    if (!next) {
+      return;
+    }
+
+    if (next.batchable && getSetting('batchingEnabled')) {
+      // undefined while the server is being asked; process() runs again afterwards
+      const support = getBatchSupport(getActiveApiProfile(), () => this.process());
+      if (support === undefined) {
+        return;
+      }
+
+      if (support) {
+        const limits = getBatchLimits(support);
+        const waited = Date.now() - next.queuedAt;
+        const batchable = this.queue.filter(job => job.batchable && this.isRunnable(job)).length;
+
+        if (batchable < limits.maxImages && waited < getSetting('batchWindowMs')) {
+          this.scheduleProcess(getSetting('batchWindowMs') - waited);
+          return;
+        }
+
+        const permit = apiCircuit.tryAcquire();
+        if (permit) {
+          await this.runBatch(this.takeBatch(limits), permit);
+        }
+        return;
+      }
+    }
+
+    const permit = apiCircuit.tryAcquire();
+    if (!permit) {
+      return;
+    }
+
+    this.take(next);
+    await this.runJob(next, permit);
+  }
+
+  /**
+   * Run process() again after a delay (once, however often it is requested)
+   * @param {number} delayMs - Delay in milliseconds
+   */
+  scheduleProcess(delayMs) {
+    if (this.processTimer) return;
+
+    this.processTimer = setTimeout(() => {
+      this.processTimer = null;
+      this.process();
+    }, delayMs);
+  }
+
+  /**
+   * Take batchable jobs from the queue in turn order, up to the count and size limits
+   * @param {{maxImages: number, maxBytes: number}} limits - Batch limits
+   * @returns {object[]} Jobs (at least one)
+   */
+  takeBatch(limits) {
+    const batch = [];
+    let bytes = 0;
+
+    while (batch.length < limits.maxImages) {
+      const job = this.pickNext(candidate => candidate.batchable &&
+        (batch.length === 0 || bytes + candidate.request.image.size <= limits.maxBytes));
+      if (!job) break;
+
+      this.take(job);
+      batch.push(job);
+      bytes += job.request.image.size;
+    }
+
+    return batch;
+  }
+
+  /**
+   * Mark a job as sent and tell its frames
+   * @param {object} job - Job
+   * @param {AbortController} controller - Aborts the request when nobody waits any more
+   */
+  start(job, controller) {
+    job.started = true;
+    job.controller = controller;
+    job.subscribers.forEach(subscriber => notifySubscriber(subscriber, { type: 'DESCRIPTION_PROGRESS', started: true }));
+  }
+
+  /**
+   * Settle every frame waiting for a job
+   * @param {object} job - Job
+   * @param {object|Error} outcome - Result from API, or the error it failed with
+   */
+  settle(job, outcome) {
+    if (this.jobs.get(job.key) === job) {
+      this.jobs.delete(job.key);
+    }
+
+    // Cancelled jobs have nobody left to tell
+    if (outcome instanceof Error && outcome.cancelled) {
+      return;
+    }
+
+    if (outcome instanceof Error) {
+      this.stats.failed++;
+      job.subscribers.forEach(subscriber => subscriber.reject(outcome));
+    } else {
+      this.stats.success++;
+      job.subscribers.forEach(subscriber => subscriber.resolve(outcome));
+    }
+  }
+
+  /**
+   * Send a single job
+   * @param {object} job - Job taken from the queue
+   * @param {object} permit - Circuit breaker permit from tryAcquire()
+   */
+  async runJob(job, permit) {
+    this.active++;
+
+    const controller = new AbortController();
+    this.start(job, controller);
+
+    // Partial text goes to every frame waiting for the image
+    const onProgress = job.request.stream
+      ? description => job.subscribers.forEach(subscriber => notifySubscriber(subscriber, { type: 'DESCRIPTION_PROGRESS', description }))
+      : undefined;
+
+    try {
+      this.settle(job, await sendImageToAPI({ ...job.request, onProgress }, controller.signal));
+    } catch (error) {
+      if (error.circuitOpen && getSetting('circuitOpenAction') === 'park' && job.subscribers.length > 0) {
+        this.park(job);
+      } else {
+        this.settle(job, error);
+      }
+    } finally {
+      await this.finishTask(permit);
+    }
+  }
+
+  /**
+   * Send several jobs as one batch request and settle each one from its own result
+   * If the whole request fails, the jobs go back to the queue as single requests.
+   * @param {object[]} jobs - Batchable jobs taken from the queue
+   * @param {object} permit - Circuit breaker permit from tryAcquire()
+   */
+  async runBatch(jobs, permit) {
+    this.active++;
+    log('info', `Sending batch of ${jobs.length} images`);
+
+    const controller = new AbortController();
+    jobs.forEach(job => {
+      job.batch = jobs;
+      this.start(job, controller);
+    });
+
+    try {
+      const results = await sendBatchToAPI(jobs.map(job => job.request), controller.signal);
+      jobs.forEach((job, index) => this.settle(job, results[index]));
+    } catch (error) {
+      if (error.cancelled) {
+        jobs.forEach(job => this.settle(job, error));
+      } else if (apiCircuit.isOpen() && getSetting('circuitOpenAction') === 'fail') {
+        jobs.forEach(job => this.settle(job, createCircuitOpenError()));
+      } else {
+        log('warn', `Batch request failed, sending ${jobs.length} images one by one:`, error.message);
+
+        const retry = jobs.filter(job => job.subscribers.length > 0);
+        retry.forEach(job => Object.assign(job, { batchable: false, batch: null, controller: null }));
+        this.queue.unshift(...retry);
+      }
+    } finally {
+      await this.finishTask(permit);
+    }
+  }
+
+  /**
+   * Put a job whose request was stopped by the circuit breaker back at the front of the queue
+   * @param {object} job - Running job
+   */
+  park(job) {
+    Object.assign(job, { started: false, controller: null, batch: null });
+    job.subscribers.forEach(subscriber => notifySubscriber(subscriber, { type: 'DESCRIPTION_PROGRESS', started: false }));
+    this.queue.unshift(job);
+  }
+
+  /**
+   * React to the circuit breaker: fail the queue when it opens (if configured so),
+   * start jobs again once it lets requests through
+   * @param {string} state - New breaker state
+   */
+  handleCircuitChange(state) {
+    if (state === CIRCUIT_OPEN) {
+      if (getSetting('circuitOpenAction') === 'fail' && this.queue.length > 0) {
+        log('warn', `API unavailable, failing ${this.queue.length} queued images`);
+        this.queue.splice(0).forEach(job => this.settle(job, createCircuitOpenError()));
+      }
+      return;
+    }
+
+    this.fillSlots();
+  }
+
+  /**
+   * Free a worker slot and continue with the next job
+   * @param {object} permit - Circuit breaker permit the task was sent with
+   */
+  async finishTask(permit) {
+    this.active--;
+    apiCircuit.release(permit);
+
+    // Delay before processing next batch
+    if (this.queue.length > 0) {
+      await sleep(this.delayMs);
+    }
+
+    this.process();
+  }
+
+  /**
+   * Stop waiting for jobs on behalf of some frames
+   * Jobs nobody else waits for are dropped from the queue or, if already sent, aborted.
+   * @param {Function} matches - Returns true for subscribers to remove
+   * @returns {number} Number of removed subscribers
+   */
+  cancel(matches) {
+    let cancelled = 0;
+
+    for (const job of [...this.jobs.values()]) {
+      const leaving = job.subscribers.filter(matches);
+      if (leaving.length === 0) continue;
+
+      cancelled += leaving.length;
+      leaving.forEach(subscriber => subscriber.reject(createCancelledError()));
+      job.subscribers = job.subscribers.filter(subscriber => !matches(subscriber));
+
+      if (job.subscribers.length > 0) {
+        // Another tab still waits and takes over the job's turn
+        job.tabId = job.subscribers[0].tabId;
+        continue;
+      }
+
+      this.jobs.delete(job.key);
+
+      const index = this.queue.indexOf(job);
+      if (index !== -1) {
+        this.queue.splice(index, 1);
+      } else if (!job.batch || job.batch.every(other => other.subscribers.length === 0)) {
+        job.controller.abort();
+      }
+    }
+
+    if (cancelled > 0) {
+      log('info', `Cancelled ${cancelled} requests`);
+    }
+
+    this.process();
+    return cancelled;
+  }
+
+  /**
+   * Change how urgent queued images are to some frames (for example after scrolling)
+   * @param {Function} matches - Returns true for subscribers to update
+   * @param {number} priority - New priority, lower is sent first
+   */
+  setPriority(matches, priority) {
+    for (const job of this.jobs.values()) {
+      job.subscribers.filter(matches).forEach(subscriber => {
+        subscriber.priority = priority;
+      });
+    }
+  }
+
+  /**
+   * Cancel everything a tab is waiting for and forget its state
+   * @param {number} tabId - Tab ID
+   */
+  forgetTab(tabId) {
+    this.cancel(subscriber => subscriber.tabId === tabId);
+    this.lastTurns.delete(tabId);
+
+    for (const frame of this.pausedFrames) {
+      if (frame.startsWith(`${tabId}:`)) {
+        this.pausedFrames.delete(frame);
+      }
+    }
+    scheduleSessionSave();
+  }
+
+  /**
+   * Pause or resume sending a frame's images (running requests finish normally)
+   * @param {number} tabId - Tab ID
+   * @param {number} frameId - Frame ID
+   * @param {boolean} paused - True to pause
+   */
+  setFramePaused(tabId, frameId, paused) {
+    if (paused) {
+      this.pausedFrames.add(`${tabId}:${frameId}`);
+    } else {
+      this.pausedFrames.delete(`${tabId}:${frameId}`);
+      this.fillSlots();
+    }
+    scheduleSessionSave();
+  }
+
+  /**
+   * Update concurrency and delay, starting extra workers if the limit grew
+   * @param {number} concurrency - Maximum parallel requests
+   * @param {number} delayMs - Delay between requests
+   */
+  setLimits(concurrency, delayMs) {
+    this.concurrency = concurrency;
+    this.delayMs = delayMs;
+    this.fillSlots();
+  }
+
+  /**
+   * Start as many jobs as free worker slots allow
+   */
+  fillSlots() {
+    for (let i = this.active; i < this.concurrency; i++) {
+      this.process();
+    }
+  }
+
+  /**
+   * Get scheduler statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      queued: this.queue.length,
+      active: this.active,
+      concurrency: this.concurrency
+    };
+  }
+}
+
+/**
+ * Check whether a response is streamed (Server-Sent Events or NDJSON)
+ * @param {Response} response - Fetch response
+ * @returns {boolean} True for event-stream and NDJSON content types
+ */
+function isStreamedResponse(response) {
+  const contentType = (response.headers.get('Content-Type') || '').toLowerCase();
+  return contentType.includes('text/event-stream') || contentType.includes('ndjson');
+}
+
+/**
+ * Split buffered stream text into complete records
+ * SSE events end with a blank line, NDJSON records with a newline
+ * @param {string} buffer - Text received so far
+ * @param {boolean} isSse - Whether the stream is Server-Sent Events
+ * @returns {{records: string[], rest: string}} Complete records and the unfinished tail
+ */
+function splitStreamRecords(buffer, isSse) {
+  const parts = buffer.split(isSse ? /\r?\n\r?\n/ : /\r?\n/);
+  const rest = parts.pop();
+  return { records: parts, rest };
+}
+
+/**
+ * Get the JSON payload of a stream record
+ * @param {string} record - One SSE event or NDJSON line
+ * @param {boolean} isSse - Whether the stream is Server-Sent Events
+ * @returns {object|null} Parsed payload, or null for comments, keep-alives and [DONE]
+ */
+function parseStreamRecord(record, isSse) {
+  let payload = record.trim();
+
+  if (isSse) {
+    payload = record.split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.substring(5).trim())
+      .join('\n');
+  }
+
+  if (!payload || payload === '[DONE]') {
+    return null;
+  }
+
+  try {
+    return JSON.parse(payload);
+  } catch (error) {
+    throw new ResponseSchemaError('Invalid API response format: malformed stream chunk');
+  }
+}
+
+/**
+ * Read a streamed response, reporting the text so far after every chunk
+ * @param {Response} response - Streamed fetch response
+ * @param {object} adapter - Provider adapter
+ * @param {Function} onChunk - Called after every chunk (resets the idle timeout)
+ * @param {Function} [onProgress] - Called with the short description received so far
+ * @returns {Promise<{description: string, longDescription: string|null}>} Final result
+ */
+async function readStreamedResponse(response, adapter, onChunk, onProgress) {
+  const isSse = (response.headers.get('Content-Type') || '').toLowerCase().includes('text/event-stream');
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+
+  let buffer = '';
+  let text = '';
+  let longDescription;
+  let done = false;
+
+  const handleRecord = (record) => {
+    const data = parseStreamRecord(record, isSse);
+    if (!data) return;
+
+    const event = adapter.parseStreamEvent(data);
+    if (event.description !== undefined) {
+      text = event.description;
+    } else if (event.text) {
+      text += event.text;
+    }
+    if (event.longDescription !== undefined) {
+      longDescription = event.longDescription;
+    }
+    if (event.done) {
+      done = true;
+    }
+  };
+
+  while (!done) {
+    const chunk = await reader.read();
+    if (chunk.done) break;
+
+    onChunk();
+    buffer += decoder.decode(chunk.value, { stream: true });
+
+    const { records, rest } = splitStreamRecords(buffer, isSse);
+    buffer = rest;
+    records.forEach(handleRecord);
+
+    if (onProgress && text.trim()) {
+      // Never show the long part while it streams in
+      onProgress(splitLongDescription(text).description);
+    }
+  }
+
+  if (done) {
+    // The server said it is finished; ignore anything after that
+    reader.cancel().catch(() => {});
+  } else {
+    handleRecord(buffer + decoder.decode());
+  }
+
+  const result = longDescription !== undefined
+    ? { description: text.trim(), longDescription: longDescription || null }
+    : splitLongDescription(text);
+
+  if (!result.description) {
+    throw new ResponseSchemaError('Invalid API response format: empty stream');
+  }
+  return result;
+}
+
+/**
+ * Send image to API with timeout
+ * Streamed responses use an idle timeout that restarts with every chunk
+ * instead of one timeout for the whole request. Failures are thrown as NetworkError,
+ * TimeoutError, HttpError or ResponseSchemaError (utils/errors.js).
+ * @param {object} request - Request data for the adapter ({image, language, context, longDescription, stream, onProgress})
+ * @param {object} profile - Server profile from getActiveApiProfile()
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @param {number} timeout - Timeout in milliseconds until the response starts
+ * @returns {Promise<{description: string, longDescription: string|null}>} Parsed response
+ */
+async function sendWithTimeout(request, profile, signal, timeout = getSetting('requestTimeoutMs')) {
+  const adapter = getApiProvider(profile.provider);
+  const { url, init } = await adapter.buildRequest(request, profile);
+
+  const controller = new AbortController();
+  let timeoutMessage = 'Request timeout';
+  let timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  const restartIdleTimeout = () => {
+    clearTimeout(timeoutId);
+    timeoutMessage = 'Stream idle timeout';
+    timeoutId = setTimeout(() => controller.abort(), getSetting('streamIdleTimeoutMs'));
+  };
+
+  const cancel = () => controller.abort();
+  signal?.addEventListener('abort', cancel);
+
+  try {
+    const response = await fetch(url, {
+      ...init,
+      signal: controller.signal
+    });
+
+    if (response.ok && isStreamedResponse(response)) {
+      restartIdleTimeout();
+      return await readStreamedResponse(response, adapter, restartIdleTimeout, request.onProgress);
+    }
+
+    clearTimeout(timeoutId);
+
+    // Error bodies are optional and not always JSON
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      throw adapter.mapError(response, data);
+    }
+
+    return adapter.parseResponse(data);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw signal?.aborted ? createCancelledError() : new TimeoutError(timeoutMessage);
+    }
+
+    // fetch() and stream reads reject with a TypeError when the connection fails
+    if (error instanceof TypeError) {
+      throw new NetworkError(`Network error: ${error.message}`, error);
+    }
+
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', cancel);
+  }
+}
+
+/**
+ * Send image to API with retry logic
+ * @param {object} request - Request data for the adapter
+ * @param {Blob} request.image - Encoded image
+ * @param {string} [request.language] - Language tag the description should be written in
+ * @param {object} [request.context] - Page context fields from collectImageContext()
+ * @param {boolean} [request.longDescription] - Ask for a long description of complex images
+ * @param {boolean} [request.stream] - Ask the server to stream its answer
+ * @param {Function} [request.onProgress] - Called with partial text while a streamed answer arrives
+ * @param {AbortSignal} [signal] - Cancels the request and any remaining attempts
+ * @param {number} maxRetries - Maximum number of retries
+ * @returns {Promise<{description: string, longDescription: string|null}>} Result from API
+ */
+async function sendImageToAPI(request, signal, maxRetries = getSetting('maxRetries')) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    // Re-read every attempt so switching profiles takes effect immediately
+    const profile = getActiveApiProfile();
+
+    try {
+      log('debug', `API request attempt ${attempt}/${maxRetries} (${profile.name}, ${profile.provider})`);
+
+      // Send request with timeout
+      const result = await sendWithTimeout(request, profile, signal);
+
+      log('info', `API success: ${result.description.substring(0, 50)}...`);
+      updateApiStatus(null);
+      apiCircuit.recordSuccess();
+      return result;
+
+    } catch (error) {
+      // Nobody waits for the answer any more
+      if (error.cancelled) {
+        throw error;
+      }
+
+      lastError = error;
+      updateApiStatus(error);
+      apiCircuit.recordFailure(error);
+      log('warn', `API attempt ${attempt} failed:`, error.message);
+
+      // Client errors and malformed answers would fail the same way again
+      if (!isRetryable(error)) {
+        throw error;
+      }
+
+      // The server is down: retrying now would only add to the failures
+      if (apiCircuit.isOpen()) {
+        throw createCircuitOpenError();
+      }
+
+      if (attempt < maxRetries) {
+        const waitTime = Math.round(getRetryDelay(error, attempt));
+        if (waitTime > MAX_RETRY_AFTER_MS) {
+          log('warn', `Server asked to retry in ${waitTime}ms, giving up`);
+          throw error;
+        }
+
+        log('debug', `Waiting ${waitTime}ms before retry`);
+        await sleep(waitTime, signal);
+
+        if (apiCircuit.isOpen()) {
+          throw createCircuitOpenError();
+        }
+      }
+    }
+  }
+
+  // All retries failed; the error keeps its type for the failure statistics
+  lastError.message = `API failed after ${maxRetries} attempts: ${lastError.message}`;
+  throw lastError;
+}
+
+/**
+ * Ask whether the active profile's server accepts batch requests
+ * The answer is cached per batch endpoint for BATCH_SUPPORT_TTL_MS.
+ * @param {object} profile - Server profile
+ * @param {Function} onResolved - Called once a pending check finishes
+ * @returns {object|false|undefined} Server limits if supported, false if not, undefined while checking
+ */
+function getBatchSupport(profile, onResolved) {
+  const adapter = getApiProvider(profile.provider);
+  if (!adapter.buildBatchRequest) {
+    return false;
+  }
+
+  const url = adapter.getBatchEndpoint(profile);
+  const known = batchSupport.get(url);
+
+  if (known && known.pending) {
+    known.callbacks.push(onResolved);
+    return undefined;
+  }
+  if (known && Date.now() - known.checkedAt < BATCH_SUPPORT_TTL_MS) {
+    return known.support;
+  }
+
+  const entry = { pending: true, callbacks: [onResolved] };
+  batchSupport.set(url, entry);
+
+  probeBatchSupport(url).then(support => {
+    batchSupport.set(url, { pending: false, support, checkedAt: Date.now() });
+    log('info', support ? `Batch endpoint available: ${url}` : 'Server does not advertise batch support');
+    entry.callbacks.forEach(callback => callback());
+  });
+
+  return undefined;
+}
+
+/**
+ * Ask a batch endpoint for its capabilities
+ * The server advertises support by answering GET with {"batch": true, "max_images"?, "max_bytes"?}
+ * @param {string} url - Batch endpoint
+ * @returns {Promise<object|false>} Limits advertised by the server, or false
+ */
+async function probeBatchSupport(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), getSetting('requestTimeoutMs'));
+
+  try {
+    const response = await fetch(url, { method: 'GET', signal: controller.signal });
+    const data = response.ok ? await response.json() : null;
+
+    if (!data || data.batch !== true) {
+      return false;
+    }
+
+    return {
+      maxImages: Number.isInteger(data.max_images) ? data.max_images : Infinity,
+      maxBytes: Number.isInteger(data.max_bytes) ? data.max_bytes : Infinity
+    };
+  } catch (error) {
+    log('debug', 'Batch support check failed:', error.message);
+    return false;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Combine the configured batch limits with the server's
+ * @param {{maxImages: number, maxBytes: number}} support - Server limits
+ * @returns {{maxImages: number, maxBytes: number}} Effective limits
+ */
+function getBatchLimits(support) {
+  return {
+    maxImages: Math.min(getSetting('batchMaxImages'), support.maxImages),
+    maxBytes: Math.min(getSetting('batchMaxSizeMb') * 1024 * 1024, support.maxBytes)
+  };
+}
+
+/**
+ * Send several images in one request to the active profile's batch endpoint
+ * @param {object[]} requests - Request data, one per image
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Array<{description: string, longDescription: string|null}|Error>>} Per-image results or errors, in request order
+ */
+async function sendBatchToAPI(requests, signal) {
+  const profile = getActiveApiProfile();
+  const adapter = getApiProvider(profile.provider);
+  const { url, init } = adapter.buildBatchRequest(requests, profile);
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), getSetting('requestTimeoutMs'));
+
+  const cancel = () => controller.abort();
+  signal?.addEventListener('abort', cancel);
+
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      // The endpoint went away: stop batching until the next check
+      if ([404, 405, 501].includes(response.status)) {
+        batchSupport.delete(url);
+      }
+      throw adapter.mapError(response, data);
+    }
+
+    const results = adapter.parseBatchResponse(data, requests.length);
+    updateApiStatus(null);
+    apiCircuit.recordSuccess();
+    return results;
+  } catch (error) {
+    if (signal?.aborted) {
+      throw createCancelledError();
+    }
+
+    let failure = error;
+    if (error.name === 'AbortError') {
+      failure = new TimeoutError('Request timeout');
+    } else if (error instanceof TypeError) {
+      failure = new NetworkError(`Network error: ${error.message}`, error);
+    }
+
+    updateApiStatus(failure);
+    apiCircuit.recordFailure(failure);
+    throw failure;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', cancel);
+  }
+}
+
+/**
+ * Get the active profile, the outcome of the most recent request and the server's health
+ * @returns {object} Endpoint status
+ */
+function getAPIStatus() {
+  const profile = getActiveApiProfile();
+
+  return {
+    profile: profile.name,
+    provider: profile.provider,
+    endpoint: profile.endpoint,
+    ...apiStatus,
+    circuit: apiCircuit.getStatus(),
+    health: healthChecker.getStatus()
+  };
+}
@@ -0,0 +1,21 @@
+/**
+ * Service Worker - Background entry point for Chromium
+ * Chromium runs the Manifest V3 background as a service worker, which cannot list its
+ * scripts in the manifest; Firefox ignores this file and loads background.scripts.
+ * Keep the list (and its order) in sync with manifest.json.
+ */
+
+importScripts(
+  '../utils/browserShim.js',
+  '../utils/siteMatcher.js',
+  '../utils/errors.js',
+  '../utils/apiProviders.js',
+  '../utils/settings.js',
+  'sessionState.js',
+  'perceptualHash.js',
+  'descriptionCache.js',
+  'apiHealth.js',
+  'auditReport.js',
+  'requestScheduler.js',
+  '../background.js'
+);
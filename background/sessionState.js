@@ -0,0 +1,70 @@
+/**
+ * Session State - Keeps background state across suspensions
+ * Under Manifest V3 the background (an event page in Firefox, a service worker in
+ * Chromium) is stopped whenever it is idle and started again for the next event, so
+ * anything kept only in variables is lost. Modules register the state that has to
+ * survive; it is mirrored to browser.storage.session, which lasts until the browser
+ * closes, and restored when the background starts.
+ */
+
+// Batch writes: state often changes several times in a row
+const SESSION_SAVE_DELAY_MS = 250;
+
+// Key -> {save, restore}
+const sessionStateEntries = new Map();
+
+let sessionSaveTimer = null;
+
+/**
+ * Register state that should survive suspension
+ * @param {string} key - Storage key
+ * @param {{save: Function, restore: Function}} entry - save() returns a JSON-safe value,
+ *   restore(value) puts it back (only called if something was saved)
+ */
+function registerSessionState(key, entry) {
+  sessionStateEntries.set(key, entry);
+}
+
+/**
+ * Restore all registered state
+ * @returns {Promise<void>}
+ */
+async function restoreSessionState() {
+  if (!browser.storage.session) {
+    return;
+  }
+
+  try {
+    const saved = await browser.storage.session.get([...sessionStateEntries.keys()]);
+
+    for (const [key, entry] of sessionStateEntries) {
+      if (saved[key] !== undefined) {
+        entry.restore(saved[key]);
+      }
+    }
+
+    log('debug', `Restored session state: ${Object.keys(saved).join(', ') || 'none'}`);
+  } catch (error) {
+    log('warn', 'Could not restore session state:', error.message);
+  }
+}
+
+/**
+ * Save all registered state soon (once, however often it is requested)
+ */
+function scheduleSessionSave() {
+  if (sessionSaveTimer || !browser.storage.session) return;
+
+  sessionSaveTimer = setTimeout(() => {
+    sessionSaveTimer = null;
+
+    const values = {};
+    for (const [key, entry] of sessionStateEntries) {
+      values[key] = entry.save();
+    }
+
+    browser.storage.session.set(values).catch(error => {
+      log('warn', 'Could not save session state:', error.message);
+    });
+  }, SESSION_SAVE_DELAY_MS);
+}
@@ -0,0 +1,417 @@
+/**
+ * Alt Writer - Applies generated descriptions according to the write policy
+ * <img> elements get alt; other image kinds get aria-label (and role="img").
+ * Long descriptions go into an element linked with aria-describedby: visually
+ * hidden normally, a <details> disclosure in review mode.
+ *
+ * Policies:
+ *   fill-missing         - write only when alt is missing or empty
+ *   replace-low-quality  - also replace alt that looks like a filename or placeholder
+ *   append               - keep existing alt and append the description
+ *   data-attribute       - never touch alt/title, write to a separate data-* attribute
+ */
+
+function log(level, message, data) {
+  imageAltLog('AltWriter', level, message, data);
+}
+
+// Hides injected label elements visually while keeping them in the accessibility tree
+const VISUALLY_HIDDEN_STYLE = 'position:absolute!important;width:1px!important;height:1px!important;' +
+  'padding:0!important;margin:-1px!important;overflow:hidden!important;clip:rect(0,0,0,0)!important;' +
+  'white-space:nowrap!important;border:0!important;';
+
+// Injected long-description elements: image element -> container
+const longDescriptionElements = new WeakMap();
+let nextLongDescriptionId = 1;
+
+// Alt values that carry no information about the image
+const PLACEHOLDER_ALT_PATTERNS = [
+  /^(image|img|picture|pic|photo|photograph|graphic|figure|banner|untitled|alt|изображение|картинка|фото)\s*[-_#]?\s*\d*$/i,
+  /^(img|dsc|dscn|dcim|pxl|screenshot|screen shot|photo|image)[-_ ]?\d+/i,
+  /\.(jpe?g|png|gif|webp|avif|bmp|svg|tiff?)$/i,
+  /^[\d\W_]+$/
+];
+
+/**
+ * Get the write policy for the current page (per-site override or global)
+ * @returns {string} Policy name
+ */
+function getWritePolicy() {
+  // Per-site settings follow the top-level page, also inside frames
+  const sitePolicy = findSiteValue(getSetting('sitePolicies'), topLevelUrl);
+  return sitePolicy || getSetting('altWritePolicy');
+}
+
+/**
+ * Get the attribute that carries the text alternative for an element
+ * @param {Element} img - The image element
+ * @returns {string} 'alt' for <img>, 'aria-label' for everything else
+ */
+function getLabelAttribute(img) {
+  return img.localName === 'img' ? 'alt' : 'aria-label';
+}
+
+/**
+ * Get the author-supplied text alternative
+ * @param {Element} img - The image element
+ * @returns {string} Existing text (trimmed), empty if none
+ */
+function getExistingLabel(img) {
+  // The author's value, even after we overwrote it
+  const label = (tracker.getOriginal(img, getLabelAttribute(img)) || '').trim();
+  if (label || img.localName === 'img') {
+    return label;
+  }
+
+  // aria-labelledby also names non-<img> elements
+  const labelledBy = (img.getAttribute('aria-labelledby') || '').trim();
+  if (labelledBy) {
+    // IDs resolve within the element's own tree (document or shadow root)
+    const root = img.getRootNode();
+    return labelledBy.split(/\s+/)
+      .map(id => root.getElementById?.(id)?.textContent || '')
+      .join(' ')
+      .trim();
+  }
+
+  return '';
+}
+
+/**
+ * Check whether existing alt text looks missing or meaningless
+ * @param {Element} img - The image element
+ * @returns {boolean} True if alt is low quality
+ */
+function isLowQualityAlt(img) {
+  const alt = getExistingLabel(img);
+
+  if (alt.length < 3) {
+    return true;
+  }
+
+  // Alt repeats the file name or URL
+  const url = getImageSource(img)?.url || '';
+  let fileName = url.split(/[?#]/)[0].split('/').pop() || '';
+  try {
+    fileName = decodeURIComponent(fileName);
+  } catch (error) {
+    // Malformed escapes: compare the raw name
+  }
+  if (alt === url || (fileName && alt.toLowerCase() === fileName.toLowerCase())) {
+    return true;
+  }
+
+  return PLACEHOLDER_ALT_PATTERNS.some(pattern => pattern.test(alt));
+}
+
+/**
+ * Check whether the active policy would write anything for this image
+ * Lets the caller skip the API call for images whose author alt is kept
+ * @param {Element} img - The image element
+ * @returns {boolean} True if a description would be written
+ */
+function wantsDescription(img) {
+  const existingAlt = getExistingLabel(img);
+
+  switch (getWritePolicy()) {
+    case 'fill-missing':
+      return !existingAlt;
+    case 'replace-low-quality':
+      return !existingAlt || isLowQualityAlt(img);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Set title for the tooltip unless the author already provided one
+ * @param {HTMLImageElement} img - The image element
+ * @param {string} description - Generated description
+ */
+function fillTitle(img, description) {
+  // Compare with the original so our own earlier tooltip gets updated
+  if (!(tracker.getOriginal(img, 'title') || '').trim()) {
+    tracker.rememberOriginal(img, ['title']);
+    img.title = description;
+  }
+}
+
+/**
+ * Find the element that should carry aria-label for a non-<img> image
+ * role="img" would hide an element's text and controls from assistive technology,
+ * so content-bearing background elements get a visually hidden labelled child instead.
+ * @param {Element} img - The image element
+ * @returns {Element} Element to label
+ */
+function getLabelTarget(img) {
+  const source = getImageSource(img);
+  const hasContent = img.textContent.trim() !== '' ||
+    img.querySelector('a, button, input, select, textarea, [tabindex], img, svg, video') !== null;
+
+  if (source?.kind !== 'background' || !hasContent) {
+    return img;
+  }
+
+  let label = img.querySelector(':scope > [data-image-alt-label]');
+  if (!label) {
+    label = document.createElement('span');
+    label.setAttribute('data-image-alt-label', '');
+    label.setAttribute('role', 'img');
+    label.style.cssText = VISUALLY_HIDDEN_STYLE;
+    img.prepend(label);
+    tracker.rememberInjected(label);
+  }
+
+  return label;
+}
+
+/**
+ * Tag the element carrying a description with the description's language
+ * when it differs from the surrounding page, so screen readers pick the right voice
+ * @param {Element} img - The image element
+ * @param {Element} target - Element carrying the text
+ * @param {string} [language] - Language tag of the description
+ */
+function tagLanguage(img, target, language) {
+  // lang on a <video> would also apply to its controls and captions
+  if (!language || target.localName === 'video') {
+    return;
+  }
+
+  const pageLanguage = getPageLanguage(img);
+  tracker.rememberOriginal(target, ['lang']);
+
+  if (pageLanguage && isSameLanguage(language, pageLanguage)) {
+    restoreOriginalAttribute(target, 'lang');
+  } else {
+    target.setAttribute('lang', language);
+  }
+}
+
+/**
+ * Write a text alternative to the element that carries it
+ * @param {Element} img - The image element
+ * @param {string} value - Text to write
+ * @param {string} description - Generated description (for the <img> tooltip)
+ * @param {string} [language] - Language tag of the description
+ * @returns {{attribute: string, value: string, target: Element}} What was written
+ */
+function writeLabel(img, value, description, language) {
+  // Text mixing the author's alt with ours has no single language to tag
+  const tag = value === description ? language : null;
+
+  if (img.localName === 'img') {
+    tracker.rememberOriginal(img, ['alt']);
+    img.alt = value;
+    fillTitle(img, description);
+    tagLanguage(img, img, tag);
+    return { attribute: 'alt', value, target: img };
+  }
+
+  // Undo an earlier "mark decorative" from the review overlay
+  restoreOriginalAttribute(img, 'aria-hidden');
+
+  const target = getLabelTarget(img);
+  tracker.rememberOriginal(target, ['aria-label', 'role']);
+  target.setAttribute('aria-label', value);
+
+  // <video> keeps its own role so its controls stay reachable
+  if (!target.hasAttribute('role') && img.localName !== 'video') {
+    target.setAttribute('role', 'img');
+  }
+
+  tagLanguage(img, target, tag);
+
+  return { attribute: 'aria-label', value, target };
+}
+
+/**
+ * Write a description to an image according to the active policy
+ * <img> gets alt (and title); other kinds get aria-label and role="img"
+ * @param {Element} img - The image element
+ * @param {string} description - Generated description
+ * @param {string} [language] - Language tag of the description
+ * @returns {{attribute: string, value: string, target: Element}|null} What was written, or null if the policy kept the author's alt
+ */
+function applyDescription(img, description, language) {
+  const policy = getWritePolicy();
+  const existingAlt = getExistingLabel(img);
+
+  switch (policy) {
+    case 'data-attribute': {
+      const attribute = getSetting('generatedAltAttribute');
+      tracker.rememberOriginal(img, [attribute]);
+      img.setAttribute(attribute, description);
+      return { attribute, value: description, target: img };
+    }
+
+    case 'append': {
+      const value = existingAlt
+        ? `${existingAlt.replace(/[\s.]+$/, '')}. ${description}`
+        : description;
+
+      return writeLabel(img, value, description, language);
+    }
+
+    case 'replace-low-quality':
+      if (existingAlt && !isLowQualityAlt(img)) {
+        log('debug', 'Keeping author alt text', getSourceLabel(img));
+        return null;
+      }
+
+      return writeLabel(img, description, description, language);
+
+    case 'fill-missing':
+    default:
+      if (existingAlt) {
+        log('debug', 'Keeping author alt text', getSourceLabel(img));
+        return null;
+      }
+
+      return writeLabel(img, description, description, language);
+  }
+}
+
+/**
+ * Put an attribute back to the value it had before we touched it
+ * @param {Element} element - The element
+ * @param {string} attribute - Attribute name
+ */
+function restoreOriginalAttribute(element, attribute) {
+  const original = tracker.getOriginal(element, attribute);
+  if (original === null) {
+    element.removeAttribute(attribute);
+  } else {
+    element.setAttribute(attribute, original);
+  }
+}
+
+/**
+ * Undo partial text written while a streamed description was arriving
+ * Used when the stream fails before a final description exists.
+ * @param {Element} img - The image element
+ */
+function discardPartialDescription(img) {
+  img.querySelector(':scope > [data-image-alt-label]')?.remove();
+
+  ['alt', 'title', 'aria-label', 'role', 'lang', getSetting('generatedAltAttribute')].forEach(attribute => {
+    restoreOriginalAttribute(img, attribute);
+  });
+}
+
+/**
+ * Mark an image as decorative so assistive technology skips it
+ * <img> gets alt=""; other kinds lose our label and are hidden where that is safe
+ * @param {Element} img - The image element
+ * @returns {{attribute: string, value: string|null, target: Element}} What was written
+ */
+function markDecorative(img) {
+  removeLongDescription(img);
+
+  if (getWritePolicy() === 'data-attribute') {
+    const attribute = getSetting('generatedAltAttribute');
+    tracker.rememberOriginal(img, [attribute]);
+    img.setAttribute(attribute, '');
+    return { attribute, value: '', target: img };
+  }
+
+  if (img.localName === 'img') {
+    tracker.rememberOriginal(img, ['alt', 'title']);
+    img.alt = '';
+    restoreOriginalAttribute(img, 'title');
+    restoreOriginalAttribute(img, 'lang');
+    return { attribute: 'alt', value: '', target: img };
+  }
+
+  // Content-bearing backgrounds only lose the hidden label we inserted
+  img.querySelector(':scope > [data-image-alt-label]')?.remove();
+
+  tracker.rememberOriginal(img, ['aria-label', 'role', 'aria-hidden']);
+  restoreOriginalAttribute(img, 'aria-label');
+  restoreOriginalAttribute(img, 'role');
+  restoreOriginalAttribute(img, 'lang');
+
+  // Hiding a <video> or an element with content would hide its controls and text
+  if (img.localName !== 'video' && getImageSource(img)?.kind !== 'background') {
+    img.setAttribute('aria-hidden', 'true');
+  }
+
+  return { attribute: 'aria-hidden', value: img.getAttribute('aria-hidden'), target: img };
+}
+
+/**
+ * Remove an image's long description and its aria-describedby reference
+ * @param {Element} img - The image element
+ */
+function removeLongDescription(img) {
+  restoreOriginalAttribute(img, `${getSetting('generatedAltAttribute')}-long`);
+
+  const container = longDescriptionElements.get(img);
+  if (!container) return;
+
+  container.remove();
+  longDescriptionElements.delete(img);
+
+  // The reference sits on the image or on the hidden label we inserted
+  restoreOriginalAttribute(img, 'aria-describedby');
+  const label = img.querySelector(':scope > [data-image-alt-label]');
+  if (label) {
+    restoreOriginalAttribute(label, 'aria-describedby');
+  }
+}
+
+/**
+ * Attach a long description to an image (replacing an earlier one)
+ * The text goes after the image (outside links and buttons, whose name it would
+ * otherwise join) and is referenced from the labelled element with aria-describedby.
+ * @param {Element} img - The image element
+ * @param {{attribute: string, value: string, target: Element}|null} written - What applyDescription() wrote
+ * @param {string|null} longDescription - Long description, or null to remove it
+ * @param {string} [language] - Language tag of the description
+ */
+function applyLongDescription(img, written, longDescription, language) {
+  removeLongDescription(img);
+
+  if (!written || !longDescription) {
+    return;
+  }
+
+  // Separate-attribute policy: keep the page untouched, store next to the short text
+  if (getWritePolicy() === 'data-attribute') {
+    const attribute = `${getSetting('generatedAltAttribute')}-long`;
+    tracker.rememberOriginal(img, [attribute]);
+    img.setAttribute(attribute, longDescription);
+    return;
+  }
+
+  const id = `image-alt-long-${nextLongDescriptionId++}`;
+  let container;
+  let textElement;
+
+  if (getSetting('reviewMode')) {
+    container = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = 'Image description';
+    textElement = document.createElement('p');
+    container.append(summary, textElement);
+  } else {
+    container = document.createElement('div');
+    container.style.cssText = VISUALLY_HIDDEN_STYLE;
+    textElement = container;
+  }
+
+  container.setAttribute('data-image-alt-long', '');
+  textElement.id = id;
+  textElement.textContent = longDescription;
+
+  const anchor = img.closest('a, button, label, picture') || img;
+  anchor.after(container);
+  tracker.rememberInjected(container);
+  longDescriptionElements.set(img, container);
+  tagLanguage(img, container, language);
+
+  const target = written.target;
+  tracker.rememberOriginal(target, ['aria-describedby']);
+  const original = tracker.getOriginal(target, 'aria-describedby');
+  target.setAttribute('aria-describedby', original ? `${original} ${id}` : id);
+}
@@ -0,0 +1,104 @@
+/**
+ * Audit - Records what happened to every image in this frame
+ * The background script collects the entries of all frames of a tab and turns them
+ * into a downloadable report (background/auditReport.js). Each entry covers one
+ * element from findAllImages(), whether or not the filters let it through.
+ */
+
+function log(level, message, data) {
+  imageAltLog('Audit', level, message, data);
+}
+
+// Longest side of thumbnails made in the page (inline <svg>, <canvas>)
+const AUDIT_THUMBNAIL_SIZE = 96;
+
+// Inline <svg> markup larger than this gets no thumbnail (it is embedded as is)
+const MAX_SVG_THUMBNAIL_LENGTH = 100000;
+
+/**
+ * Get where an image is in the pipeline
+ * @param {Element} img - The image element
+ * @param {string|null} rejectedBy - Filter that rejected it, from getRejectingFilter()
+ * @returns {string} described, decorative, kept, in-progress, failed, filtered or pending
+ */
+function getAuditStatus(img, rejectedBy) {
+  const record = tracker.getRecord(img);
+
+  if (record && !tracker.shouldReprocess(img)) {
+    if (record.description === null) {
+      return 'kept'; // The author's alt text was good enough
+    }
+    return record.description === '' ? 'decorative' : 'described';
+  }
+  if (tracker.isInFlight(img)) {
+    return 'in-progress';
+  }
+  if (tracker.getFailure(img)) {
+    return 'failed';
+  }
+  return rejectedBy ? 'filtered' : 'pending';
+}
+
+/**
+ * Make a thumbnail of an element that has no URL to fetch
+ * Images with a URL are fetched by the background script instead.
+ * @param {Element} img - Inline <svg> or <canvas>
+ * @param {{kind: string, width: number, height: number}} source - Its image source
+ * @returns {string|null} Data URL, or null if none can be made
+ */
+function createElementThumbnail(img, source) {
+  try {
+    if (source.kind === 'svg') {
+      const clone = img.cloneNode(true);
+      clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+      clone.setAttribute('width', source.width);
+      clone.setAttribute('height', source.height);
+
+      const markup = new XMLSerializer().serializeToString(clone);
+      return markup.length <= MAX_SVG_THUMBNAIL_LENGTH
+        ? `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`
+        : null;
+    }
+
+    if (source.kind === 'canvas' && source.width > 0 && source.height > 0) {
+      const size = getTargetSize(source.width, source.height, AUDIT_THUMBNAIL_SIZE);
+      // Throws a SecurityError if the page drew cross-origin content into it
+      return drawScaled(img, source, size, true).toDataURL('image/jpeg', 0.7);
+    }
+  } catch (error) {
+    log('debug', `No thumbnail for <${img.localName}>:`, error.message);
+  }
+
+  return null;
+}
+
+/**
+ * Record every image in this frame
+ * @param {boolean} thumbnails - Include thumbnails of images without a URL
+ * @returns {object[]} One entry per element, in document order
+ */
+function collectAuditEntries(thumbnails) {
+  return findAllImages().map(img => {
+    const source = getImageSource(img);
+    const rejectedBy = getRejectingFilter(img);
+    const record = tracker.getRecord(img);
+    const failure = tracker.getFailure(img);
+    const timing = tracker.getTiming(img);
+
+    return {
+      src: source?.url || null,
+      kind: source?.kind || img.localName,
+      width: source?.width ?? null,
+      height: source?.height ?? null,
+      originalAlt: tracker.getOriginal(img, getLabelAttribute(img)),
+      generatedAlt: record ? record.description : null,
+      rejectedBy,
+      status: getAuditStatus(img, rejectedBy),
+      errorType: failure ? failure.type : null,
+      error: failure ? failure.message : null,
+      startedAt: timing ? timing.startedAt : null,
+      durationMs: timing ? timing.durationMs : null,
+      thumbnail: thumbnails && source && !source.url ? createElementThumbnail(img, source) : null
+    };
+  });
+}
@@ -3,15 +3,158 @@
  * Coordinates all modules and handles page lifecycle
  */
 
+// Configuration
+const STATS_REPORT_INTERVAL_MS = 2000;
+
 function log(level, message, data) {
   imageAltLog('Content', level, message, data);
 }
 
+/**
+ * Collect tracker and API statistics for this tab
+ * @returns {object} Statistics
+ */
+function collectStats() {
+  const trackerStats = tracker.getStats();
+  const apiStats = getAPIStats();
+
+  return {
+    processed: trackerStats.processedCount,
+    inFlight: trackerStats.inFlightCount,
+    queued: apiStats.queued,
+    active: apiStats.active,
+    apiTotal: apiStats.total,
+    apiSuccess: apiStats.success,
+    // Total and causes both come from the tracker so they always add up
+    failed: trackerStats.failedCount,
+    paused: apiStats.paused,
+    failures: trackerStats.failuresByType,
+    site: evaluateSiteRules(window.location.href, topLevelUrl)
+  };
+}
+
+let lastReportedStats = null;
+
+// Set once the DOM is ready and the initial delay has passed
+let pageReady = false;
+
+// URL of the top-level page; differs from location.href inside frames
+let topLevelUrl = window.location.href;
+
+// Whether this content script runs in a frame rather than the top-level page
+const isSubframe = window.top !== window;
+
+/**
+ * Ask the background script for the top-level page URL (frames cannot read it cross-origin)
+ * @returns {Promise<string>} Top-level URL, or this frame's URL if unavailable
+ */
+async function fetchTopLevelUrl() {
+  try {
+    const response = await browser.runtime.sendMessage({ type: 'GET_FRAME_CONTEXT' });
+    if (response && response.success && response.topUrl) {
+      return response.topUrl;
+    }
+  } catch (error) {
+    log('warn', 'Could not get top-level URL:', error.message);
+  }
+  return window.location.href;
+}
+
+/**
+ * Send statistics to the background script if they changed since the last report
+ */
+function reportStats() {
+  const stats = collectStats();
+  const serialized = JSON.stringify(stats);
+
+  if (serialized === lastReportedStats) {
+    return;
+  }
+
+  lastReportedStats = serialized;
+
+  browser.runtime.sendMessage({ type: 'REPORT_STATS', stats }).catch(error => {
+    log('debug', 'Could not report statistics:', error.message);
+  });
+}
+
+/**
+ * Handle messages from the toolbar popup and background script
+ * @param {object} message - Incoming message
+ * @returns {Promise<object>|undefined} Response, or undefined for unknown messages
+ */
+function handleMessage(message) {
+  switch (message.type) {
+    case 'GET_TAB_STATS':
+      return Promise.resolve({ success: true, stats: collectStats() });
+
+    case 'RESCAN_PAGE':
+      return Promise.resolve(rescanPage());
+
+    case 'REVERT_PAGE': {
+      const restored = revertPage();
+      reportStats();
+      return Promise.resolve({ success: true, restored });
+    }
+
+    case 'SET_PAUSED':
+      setQueuePaused(Boolean(message.paused));
+      reportStats();
+      return Promise.resolve({ success: true, stats: collectStats() });
+
+    case 'CLEAR_QUEUE':
+      clearQueue();
+      reportStats();
+      return Promise.resolve({ success: true, stats: collectStats() });
+
+    case 'DESCRIBE_TARGET':
+      // Context menu: ignores filters and site rules
+      return Promise.resolve({ success: describeContextMenuTarget(message.srcUrl) });
+
+    case 'COLLECT_AUDIT':
+      // Audit report, merged across frames by the background script
+      return Promise.resolve({
+        success: true,
+        frameUrl: window.location.href,
+        entries: collectAuditEntries(Boolean(message.thumbnails))
+      });
+
+    case 'RUN_COMMAND':
+      // Keyboard shortcut
+      return runShortcutCommand(message.command);
+
+    default:
+      // Not for us - let other listeners answer
+      return undefined;
+  }
+}
+
+/**
+ * Process the page's images again
+ * @returns {{success: boolean, error?: string}} Whether the re-scan started
+ */
+function rescanPage() {
+  if (!isProcessingAllowed(window.location.href, topLevelUrl)) {
+    return { success: false, error: 'Processing is disabled on this page' };
+  }
+
+  log('info', 'Re-scan requested');
+
+  // Restarts the observers too if a revert stopped them
+  (window.__imageAltObservers ? processAllImages() : startProcessing()).catch(error => {
+    log('error', 'Re-scan failed:', error.message);
+  });
+  return { success: true };
+}
+
 /**
  * Main initialization function
  */
 async function initialize() {
   try {
+    // Load persisted settings before anything reads them
+    await loadSettings();
+
     log('info', '=== Image Alt Text Generator Extension Started ===');
     log('info', `URL: ${window.location.href}`);
 
@@ -25,42 +168,107 @@ async function initialize() {
 
     log('info', 'DOM ready, starting initialization');
 
+    // Frames follow the rules of the page that embeds them
+    if (isSubframe) {
+      topLevelUrl = await fetchTopLevelUrl();
+      log('debug', `Running in a frame of ${topLevelUrl}`);
+    }
+
     // Wait a bit for images to start loading
     await new Promise(resolve => setTimeout(resolve, 1000));
 
-    // Process initial images on the page
-    log('info', 'Processing initial images');
-    await processAllImages();
+    pageReady = true;
 
-    // Start observers for dynamic content
-    log('info', 'Starting observers for dynamic content');
-    const observers = startObservers();
+    // Keep the background script's per-tab statistics current
+    window.__imageAltStatsTimer = setInterval(reportStats, STATS_REPORT_INTERVAL_MS);
+    reportStats();
 
-    // Store observers globally for cleanup
-    window.__imageAltObservers = observers;
+    // Only touch the page if the site rules allow it
+    const decision = evaluateSiteRules(window.location.href, topLevelUrl);
+    if (decision.allowed) {
+      await startProcessing();
+    } else {
+      log('info', `Processing disabled on this page (${decision.reason})`);
+    }
 
     log('info', '=== Initialization Complete ===');
 
-    // Log statistics
-    setTimeout(() => {
-      const trackerStats = tracker.getStats();
-      const apiStats = getAPIStats();
-
-      log('info', 'Statistics:', {
-        processed: trackerStats.processedCount,
-        inFlight: trackerStats.inFlightCount,
-        apiTotal: apiStats.total,
-        apiSuccess: apiStats.success,
-        apiFailed: apiStats.failed,
-        apiQueued: apiStats.queued
-      });
-    }, 5000);
-
   } catch (error) {
     log('error', 'Initialization failed:', error);
   }
 }
 
+/**
+ * Process the current images and start watching for new ones
+ * @returns {Promise<void>}
+ */
+async function startProcessing() {
+  if (window.__imageAltObservers) {
+    return;
+  }
+
+  // Start observers for dynamic content
+  log('info', 'Starting observers for dynamic content');
+  window.__imageAltObservers = startObservers();
+
+  // Process initial images on the page
+  log('info', 'Processing initial images');
+  await processAllImages();
+}
+
+/**
+ * Stop watching the page and drop queued images
+ */
+function stopProcessing() {
+  if (!window.__imageAltObservers) {
+    return;
+  }
+
+  stopObservers(window.__imageAltObservers);
+  delete window.__imageAltObservers;
+
+  clearQueue();
+  log('info', 'Processing stopped');
+}
+
+/**
+ * Restore the page's original alt/title/aria attributes
+ * Automatic processing stops so restored images are not described again;
+ * a re-scan starts it again.
+ * @returns {number} Number of restored elements
+ */
+function revertPage() {
+  stopProcessing();
+  removeAllReviewBadges();
+  const restored = tracker.revertAll();
+
+  log('info', `Reverted generated text on ${restored} elements`);
+  return restored;
+}
+
+/**
+ * Start or stop processing when the pause switch or site rules change
+ */
+function applySiteRules() {
+  if (!pageReady) {
+    return; // initialize() evaluates the rules itself
+  }
+
+  const decision = evaluateSiteRules(window.location.href, topLevelUrl);
+
+  if (decision.allowed && !window.__imageAltObservers) {
+    log('info', `Processing enabled (${decision.reason})`);
+    startProcessing().catch(error => {
+      log('error', 'Could not start processing:', error.message);
+    });
+  } else if (!decision.allowed) {
+    log('info', `Processing disabled (${decision.reason})`);
+
+    // Paused or blocked sites get their original markup back
+    revertPage();
+  }
+}
+
 /**
  * Cleanup function
  */
@@ -73,6 +281,12 @@ function cleanup() {
     delete window.__imageAltObservers;
   }
 
+  // Stop reporting statistics
+  if (window.__imageAltStatsTimer) {
+    clearInterval(window.__imageAltStatsTimer);
+    delete window.__imageAltStatsTimer;
+  }
+
   // Clear queues
   if (typeof clearQueue === 'function') {
     clearQueue();
@@ -87,10 +301,18 @@ function cleanup() {
 function handleVisibilityChange() {
   if (document.hidden) {
     log('debug', 'Page hidden');
+
+    // Free the shared queue for the tab the user is looking at
+    abortAllImageRequests();
   } else {
     log('debug', 'Page visible');
-    // Optionally reprocess images when page becomes visible
-    // processAllImages();
+
+    // Pick up the images aborted or postponed while hidden
+    if (window.__imageAltObservers) {
+      processAllImages().catch(error => {
+        log('error', 'Processing after tab became visible failed:', error.message);
+      });
+    }
   }
 }
 
@@ -100,8 +322,34 @@ function handleVisibilityChange() {
 function handleUnload() {
   log('info', 'Page unloading');
   cleanup();
+
+  // Drop this frame from the tab's statistics
+  browser.runtime.sendMessage({ type: 'FRAME_UNLOADED' }).catch(() => {});
 }
 
+// Keep the debug flag in sync with the options page
+onSettingsChanged((settings, changedKeys) => {
+  if (changedKeys.includes('debug')) {
+    window.IMAGE_ALT_DEBUG = settings.debug;
+  }
+
+  if (changedKeys.includes('reviewMode')) {
+    if (settings.reviewMode) {
+      showAllReviewBadges();
+    } else {
+      removeAllReviewBadges();
+    }
+  }
+
+  // Rule changes apply to open tabs without reloading
+  if (['paused', 'siteRules', 'siteRulesMode'].some(key => changedKeys.includes(key))) {
+    applySiteRules();
+  }
+});
+
+// Answer the toolbar popup and background script
+browser.runtime.onMessage.addListener(handleMessage);
+
 // Listen for visibility changes
 document.addEventListener('visibilitychange', handleVisibilityChange);
 
@@ -120,6 +368,8 @@ if (window.IMAGE_ALT_DEBUG) {
     processImages,
     getTrackerStats: () => tracker.getStats(),
     getAPIStats: getAPIStats,
+    getStats: collectStats,
+    revertPage,
     cleanup,
     reinitialize: initialize
   };
@@ -3,7 +3,7 @@
  * This file must be loaded first!
  */
 
-// Global debug flag
+// Global debug flag (overridden by the `debug` setting once settings load)
 window.IMAGE_ALT_DEBUG = true;
 
 // Global logging function
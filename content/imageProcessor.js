@@ -1,27 +1,41 @@
 /**
  * Image Processor - Detects and filters meaningful images on the page
- * Handles the core logic for identifying which images should be processed
+ * Handles the core logic for identifying which images should be processed.
+ * "Image" here is any element with a source from content/imageSources.js
+ * (<img>, CSS backgrounds, <svg>, <canvas>, <video poster>, role="img").
  */
 
-// Configuration
-const MIN_IMAGE_WIDTH = 100;
-const MIN_IMAGE_HEIGHT = 100;
-const MIN_ASPECT_RATIO = 0.1;
-const MAX_ASPECT_RATIO = 10;
-const MIN_OPACITY = 0.1;
+// Configuration comes from utils/settings.js:
+// minImageWidth, minImageHeight, minAspectRatio, maxAspectRatio, minOpacity
 
 function log(level, message, data) {
   imageAltLog('ImageProcessor', level, message, data);
 }
 
+// Images whose description is being fetched: element -> AbortController
+const imageRequests = new Map();
+
+// Filters in the order they run; the audit report names the one that rejected an image
+const IMAGE_FILTERS = [
+  { name: 'not-loaded', accepts: img => isImageLoaded(img) },
+  { name: 'size', accepts: img => isSizeAcceptable(img) },
+  { name: 'aspect-ratio', accepts: img => isAspectRatioAcceptable(img) },
+  { name: 'visibility', accepts: img => isVisible(img) },
+  { name: 'class-or-id', accepts: img => !matchesExclusionPatterns(img) },
+  { name: 'parent-context', accepts: img => !isInExcludedContext(img) },
+  { name: 'url', accepts: img => !isExcludedByURL(img) }
+];
+
 /**
  * Check if image meets size requirements
- * @param {HTMLImageElement} img - The image element
+ * @param {Element} img - The image element
  * @returns {boolean} True if size is acceptable
  */
 function isSizeAcceptable(img) {
-  if (img.naturalWidth < MIN_IMAGE_WIDTH || img.naturalHeight < MIN_IMAGE_HEIGHT) {
-    log('debug', `Filtered by size: ${img.naturalWidth}x${img.naturalHeight}`, img.src.substring(0, 50));
+  const { width, height } = getImageSource(img);
+
+  if (width < getSetting('minImageWidth') || height < getSetting('minImageHeight')) {
+    log('debug', `Filtered by size: ${width}x${height}`, getSourceLabel(img));
     return false;
   }
   return true;
@@ -29,14 +43,15 @@ function isSizeAcceptable(img) {
 
 /**
  * Check if image has acceptable aspect ratio
- * @param {HTMLImageElement} img - The image element
+ * @param {Element} img - The image element
  * @returns {boolean} True if aspect ratio is acceptable
  */
 function isAspectRatioAcceptable(img) {
-  const aspectRatio = img.naturalWidth / img.naturalHeight;
+  const { width, height } = getImageSource(img);
+  const aspectRatio = width / height;
 
-  if (aspectRatio < MIN_ASPECT_RATIO || aspectRatio > MAX_ASPECT_RATIO) {
-    log('debug', `Filtered by aspect ratio: ${aspectRatio.toFixed(2)}`, img.src.substring(0, 50));
+  if (aspectRatio < getSetting('minAspectRatio') || aspectRatio > getSetting('maxAspectRatio')) {
+    log('debug', `Filtered by aspect ratio: ${aspectRatio.toFixed(2)}`, getSourceLabel(img));
     return false;
   }
 
@@ -45,7 +60,7 @@ function isAspectRatioAcceptable(img) {
 
 /**
  * Check if image is visible
- * @param {HTMLImageElement} img - The image element
+ * @param {Element} img - The image element
  * @returns {boolean} True if visible
  */
 function isVisible(img) {
@@ -53,14 +68,14 @@ function isVisible(img) {
 
   // Check display and visibility
   if (style.display === 'none' || style.visibility === 'hidden') {
-    log('debug', 'Filtered by visibility', img.src.substring(0, 50));
+    log('debug', 'Filtered by visibility', getSourceLabel(img));
     return false;
   }
 
   // Check opacity
   const opacity = parseFloat(style.opacity);
-  if (opacity < MIN_OPACITY) {
-    log('debug', `Filtered by opacity: ${opacity}`, img.src.substring(0, 50));
+  if (opacity < getSetting('minOpacity')) {
+    log('debug', `Filtered by opacity: ${opacity}`, getSourceLabel(img));
     return false;
   }
 
@@ -69,11 +84,12 @@ function isVisible(img) {
 
 /**
  * Check if image class/id matches exclusion patterns
- * @param {HTMLImageElement} img - The image element
+ * @param {Element} img - The image element
  * @returns {boolean} True if should be excluded
  */
 function matchesExclusionPatterns(img) {
-  const classId = (img.className + ' ' + img.id).toLowerCase();
+  // getAttribute: className is an SVGAnimatedString on <svg>
+  const classId = ((img.getAttribute('class') || '') + ' ' + img.id).toLowerCase();
 
   // Exclusion patterns for common system images
   const excludePatterns = [
@@ -98,7 +114,7 @@ function matchesExclusionPatterns(img) {
 
   for (const pattern of excludePatterns) {
     if (pattern.test(classId)) {
-      log('debug', `Filtered by class/id pattern: ${pattern}`, img.src.substring(0, 50));
+      log('debug', `Filtered by class/id pattern: ${pattern}`, getSourceLabel(img));
       return true;
     }
   }
@@ -108,7 +124,7 @@ function matchesExclusionPatterns(img) {
 
 /**
  * Check if image is in an excluded parent context
- * @param {HTMLImageElement} img - The image element
+ * @param {Element} img - The image element
  * @returns {boolean} True if should be excluded
  */
 function isInExcludedContext(img) {
@@ -116,7 +132,7 @@ function isInExcludedContext(img) {
   const excludedParent = img.closest('nav, header, footer, aside, [role="navigation"], [role="banner"]');
 
   if (excludedParent) {
-    log('debug', `Filtered by parent context: ${excludedParent.tagName}`, img.src.substring(0, 50));
+    log('debug', `Filtered by parent context: ${excludedParent.tagName}`, getSourceLabel(img));
     return true;
   }
 
@@ -125,15 +141,20 @@ function isInExcludedContext(img) {
 
 /**
  * Check if image URL matches exclusion patterns
- * @param {HTMLImageElement} img - The image element
+ * @param {Element} img - The image element
  * @returns {boolean} True if should be excluded
  */
 function isExcludedByURL(img) {
-  const src = img.src.toLowerCase();
+  const source = getImageSource(img);
+  if (!source.url) {
+    return false; // Inline <svg> and <canvas> have no URL
+  }
+
+  const src = source.url.toLowerCase();
 
   // Tracking pixels (typically 1x1)
-  if (img.naturalWidth === 1 && img.naturalHeight === 1) {
-    log('debug', 'Filtered as tracking pixel (1x1)', img.src.substring(0, 50));
+  if (source.width === 1 && source.height === 1) {
+    log('debug', 'Filtered as tracking pixel (1x1)', getSourceLabel(img));
     return true;
   }
 
@@ -147,7 +168,7 @@ function isExcludedByURL(img) {
 
   for (const pattern of excludeURLPatterns) {
     if (pattern.test(src)) {
-      log('debug', `Filtered by URL pattern: ${pattern}`, img.src.substring(0, 50));
+      log('debug', `Filtered by URL pattern: ${pattern}`, getSourceLabel(img));
       return true;
     }
   }
@@ -157,61 +178,74 @@ function isExcludedByURL(img) {
 
 /**
  * Check if image is loaded and valid
- * @param {HTMLImageElement} img - The image element
+ * @param {Element} img - The image element
  * @returns {boolean} True if valid
  */
 function isImageLoaded(img) {
+  const source = getImageSource(img);
+
+  if (!source) {
+    log('debug', `Filtered: no image source on <${img.localName}>`);
+    return false;
+  }
+
+  // Only <img> has a load state; other kinds are loaded during conversion
+  if (source.kind !== 'img') {
+    return true;
+  }
+
   // Check if image has valid src
-  if (!img.src || img.src === '') {
+  if (!source.url) {
     log('debug', 'Filtered: no src');
     return false;
   }
 
   // Check if image is actually loaded
   if (img.naturalWidth === 0 || img.naturalHeight === 0) {
-    log('debug', 'Filtered: not loaded or broken', img.src.substring(0, 50));
+    log('debug', 'Filtered: not loaded or broken', getSourceLabel(img));
     return false;
   }
 
   // Check if it's a valid image (not SVG placeholders, etc.)
   if (img.complete === false) {
-    log('debug', 'Filtered: not complete', img.src.substring(0, 50));
+    log('debug', 'Filtered: not complete', getSourceLabel(img));
     return false;
   }
 
   return true;
 }
 
+/**
+ * Find the first filter that rejects an image
+ * @param {Element} img - The image element
+ * @returns {string|null} Filter name from IMAGE_FILTERS, or null if the image passes all of them
+ */
+function getRejectingFilter(img) {
+  const filter = IMAGE_FILTERS.find(({ accepts }) => !accepts(img));
+  return filter ? filter.name : null;
+}
+
 /**
  * Main filter function - determines if image should be processed
- * @param {HTMLImageElement} img - The image element
+ * @param {Element} img - The image element
  * @returns {boolean} True if image is meaningful and should be processed
  */
 function isMeaningfulImage(img) {
-  // Run all checks
-  return (
-    isImageLoaded(img) &&
-    isSizeAcceptable(img) &&
-    isAspectRatioAcceptable(img) &&
-    isVisible(img) &&
-    !matchesExclusionPatterns(img) &&
-    !isInExcludedContext(img) &&
-    !isExcludedByURL(img)
-  );
+  return getRejectingFilter(img) === null;
 }
 
 /**
  * Find all images on the page
- * @returns {HTMLImageElement[]} Array of image elements
+ * @returns {Element[]} <img> elements plus other describable elements
  */
 function findAllImages() {
-  return Array.from(document.querySelectorAll('img'));
+  return collectImageElements(document.body || document.documentElement);
 }
 
 /**
  * Filter images to only meaningful ones
- * @param {HTMLImageElement[]} images - Array of image elements
- * @returns {HTMLImageElement[]} Filtered array
+ * @param {Element[]} images - Array of image elements
+ * @returns {Element[]} Filtered array
  */
 function filterMeaningfulImages(images) {
   const meaningful = images.filter(isMeaningfulImage);
@@ -222,69 +256,290 @@ function filterMeaningfulImages(images) {
 }
 
 /**
- * Process a single image: convert to base64, send to API, update alt
- * @param {HTMLImageElement} img - The image element
+ * Get a description for an image: a reviewer's edit, the persistent cache, or the API
+ * @param {Element} img - The image element
+ * @param {object} options - Options
+ * @param {boolean} options.useCache - False to ignore earlier results (regenerate)
+ * @param {number} [options.priority] - Queue priority, taken from the image's position by default
+ * @param {AbortSignal} [options.signal] - Drops the request when the image is no longer needed
+ * @param {boolean} [options.ignorePause] - Send even while this frame's queue is paused
+ * @param {Function} [options.onProgress] - Also called with partial text of a streamed answer
+ * @returns {Promise<{description: string, longDescription: string|null, digest: string|null, language: string}|null>} Description ('' = decorative), or null if the image is too large
+ */
+async function fetchDescription(img, { useCache = true, priority = getImagePriority(img), signal, ignorePause = false, onProgress } = {}) {
+  const language = getDescriptionLanguage(img);
+
+  // A reviewer's correction for the same image on this page wins
+  const edit = useCache ? tracker.getEdit(img) : null;
+  if (edit !== null) {
+    log('info', 'Using reviewed description', getSourceLabel(img));
+    return { ...edit, digest: null, language };
+  }
+
+  // Downscale and encode; null if even the smallest version exceeds the upload limit
+  const image = await convertImageToBlob(img);
+  if (!image) {
+    log('warn', 'Image too large even after downscaling, skipping', getSourceLabel(img));
+    return null;
+  }
+
+  // Reuse a description from an earlier visit, otherwise ask the API;
+  // a regenerated one only needs the key to replace the cached entry
+  const longDescription = getSetting('longDescriptions');
+  const cached = useCache
+    ? await lookupCachedDescription(image, language, longDescription)
+    : { digest: await getCachedDescriptionDigest(image, language, longDescription), description: null };
+
+  if (cached.description !== null) {
+    log('info', 'Using cached description', getSourceLabel(img));
+    return { ...cached, language };
+  }
+
+  let partialShown = false;
+
+  try {
+    // Context is only gathered when the request is actually sent
+    const context = collectImageContext(img);
+    observeImagePriority(img);
+
+    const result = await processImage(image, {
+      language,
+      context,
+      longDescription,
+      stream: getSetting('streamResponses'),
+      element: img,
+      priority,
+      signal,
+      ignorePause,
+      onProgress: (text) => {
+        if (onProgress) {
+          onProgress(text);
+        }
+
+        // Show the text as it arrives, unless the site was paused or blocked meanwhile
+        if (isProcessingAllowed(window.location.href, topLevelUrl)) {
+          applyDescription(img, text, language);
+          partialShown = true;
+        }
+      }
+    });
+    await storeCachedDescription(cached.digest, result.description, result.longDescription);
+    return { ...result, digest: cached.digest, language };
+  } catch (error) {
+    // Let other frames/tabs waiting on this image try themselves (only a lookup claims it)
+    if (useCache) {
+      releaseCachedDescription(cached.digest);
+    }
+
+    if (partialShown) {
+      restoreCommittedDescription(img);
+    }
+    throw error;
+  } finally {
+    unobserveImagePriority(img);
+  }
+}
+
+/**
+ * Put back what an image showed before a streamed request failed midway:
+ * its earlier description (when regenerating) or the author's markup
+ * @param {Element} img - The image element
+ */
+function restoreCommittedDescription(img) {
+  const record = tracker.getRecord(img);
+
+  if (record && record.description !== null) {
+    commitDescription(img, record);
+  } else {
+    discardPartialDescription(img);
+  }
+}
+
+/**
+ * Write a description (or the decorative marking) and record it in the tracker
+ * @param {Element} img - The image element
+ * @param {object} result - Result of fetchDescription()
+ * @param {string} result.description - Description, '' for decorative images
+ * @param {string|null} result.longDescription - Long description of complex images
+ * @param {string|null} result.digest - Cache key, used to persist review edits
+ * @param {string} result.language - Language tag of the description
+ */
+function commitDescription(img, { description, longDescription = null, digest, language }) {
+  // Write according to the global or per-site policy
+  let written;
+  if (description === '') {
+    written = markDecorative(img);
+  } else {
+    written = applyDescription(img, description, language);
+    applyLongDescription(img, written, longDescription, language);
+  }
+
+  // Mark as processed
+  tracker.markProcessed(img, description, written, { digest, language, longDescription });
+
+  if (getSetting('reviewMode')) {
+    showReviewBadge(img);
+  }
+}
+
+/**
+ * Process a single image: convert to a blob, send to API, update alt
+ * @param {Element} img - The image element
  * @returns {Promise<void>}
  */
 async function processSingleImage(img) {
   try {
     // Check if already processed or in flight
     if (tracker.isProcessed(img)) {
-      log('debug', 'Skipping already processed image', img.src.substring(0, 50));
+      log('debug', 'Skipping already processed image', getSourceLabel(img));
       return;
     }
 
     if (tracker.isInFlight(img)) {
-      log('debug', 'Skipping image already in flight', img.src.substring(0, 50));
+      log('debug', 'Skipping image already in flight', getSourceLabel(img));
+      return;
+    }
+
+    // Respect author alt text the policy would keep anyway
+    if (!wantsDescription(img)) {
+      log('debug', 'Skipping image with author alt text', getSourceLabel(img));
+      tracker.markProcessed(img, null, null);
       return;
     }
 
     // Mark as in-flight
     tracker.markInFlight(img);
 
-    log('info', `Processing image: ${img.src.substring(0, 50)}`);
+    log('info', `Processing image: ${getSourceLabel(img)}`);
 
-    // Convert to base64
-    const base64 = await convertImageToBase64(img);
+    const controller = new AbortController();
+    imageRequests.set(img, controller);
 
-    // Check size limit
-    if (!isWithinSizeLimit(base64, 5)) {
-      log('warn', 'Image too large, skipping', img.src.substring(0, 50));
+    const result = await fetchDescription(img, { signal: controller.signal });
+    if (!result) {
       tracker.clearInFlight(img);
       return;
     }
 
-    // Send to API
-    const description = await processImage(base64);
-
-    // Update alt attribute
-    img.alt = description;
-    img.title = description; // Also set title for tooltip
+    // The site may have been paused or blocked while the request was running
+    if (!isProcessingAllowed(window.location.href, topLevelUrl)) {
+      log('debug', 'Processing disabled meanwhile, discarding description');
+      tracker.clearInFlight(img);
+      return;
+    }
 
-    // Mark as processed
-    tracker.markProcessed(img, description);
+    commitDescription(img, result);
 
-    log('info', `Successfully processed: ${description.substring(0, 50)}...`);
+    log('info', `Successfully processed: ${result.description.substring(0, 50)}...`);
 
   } catch (error) {
-    log('error', `Failed to process image:`, error.message);
-    // Clear from in-flight on error
-    tracker.clearInFlight(img);
+    // Detached images and hidden tabs; the image is picked up again if it comes back
+    if (error.name === 'AbortError') {
+      tracker.clearInFlight(img);
+      log('debug', 'Request aborted', getSourceLabel(img));
+      return;
+    }
+
+    // Counted by cause in the statistics; clears the in-flight mark too
+    tracker.markFailed(img, error);
+
+    log('error', `Failed to process image (${getErrorType(error)}):`, error.message);
     throw error;
+  } finally {
+    imageRequests.delete(img);
+  }
+}
+
+/**
+ * Abort the pending requests of images that were removed from the page
+ */
+function abortDetachedImageRequests() {
+  for (const [img, controller] of imageRequests) {
+    if (!img.isConnected) {
+      controller.abort();
+    }
+  }
+}
+
+/**
+ * Abort all pending requests of this frame (e.g. while the tab is hidden)
+ */
+function abortAllImageRequests() {
+  if (imageRequests.size > 0) {
+    log('info', `Aborting ${imageRequests.size} pending requests`);
+  }
+
+  for (const controller of imageRequests.values()) {
+    controller.abort();
   }
 }
 
+/**
+ * Ask the API for a new description of an already processed image, ignoring the cache
+ * @param {Element} img - The image element
+ * @returns {Promise<string|null>} New description, or null if the image is too large
+ */
+async function regenerateDescription(img) {
+  log('info', `Regenerating description: ${getSourceLabel(img)}`);
+
+  // Asked for by the user: goes before images that are merely on screen
+  const result = await fetchDescription(img, { useCache: false, priority: PRIORITY_VISIBLE });
+  if (!result) {
+    return null;
+  }
+
+  tracker.clearEdit(img);
+  commitDescription(img, result);
+
+  return result.description;
+}
+
+/**
+ * Describe an image the user asked for, whatever the filters say
+ * Sent even while the site or this frame's queue is paused; the description is
+ * only written to the page where processing is allowed.
+ * @param {Element} img - The image element
+ * @param {Function} [onProgress] - Called with partial text of a streamed answer
+ * @returns {Promise<object|null>} Result of fetchDescription(), or null if the image is too large
+ */
+async function describeOnDemand(img, onProgress) {
+  log('info', `Describing on demand: ${getSourceLabel(img)}`);
+
+  const result = await fetchDescription(img, { priority: PRIORITY_VISIBLE, ignorePause: true, onProgress });
+  if (!result) {
+    return null;
+  }
+
+  if (isProcessingAllowed(window.location.href, topLevelUrl)) {
+    commitDescription(img, result);
+  }
+
+  return result;
+}
+
 /**
  * Process multiple images
- * @param {HTMLImageElement[]} images - Array of image elements
+ * @param {Element[]} images - Array of image elements
  * @returns {Promise<void>}
  */
 async function processImages(images) {
+  // Never upload anything from paused or blocked sites
+  if (!isProcessingAllowed(window.location.href, topLevelUrl)) {
+    log('debug', 'Processing not allowed on this page');
+    return;
+  }
+
   if (images.length === 0) {
     log('info', 'No images to process');
     return;
   }
 
+  // Hidden tabs wait; processAllImages() runs again when the tab is shown
+  if (document.hidden) {
+    log('debug', 'Tab hidden, postponing images');
+    return;
+  }
+
   log('info', `Starting to process ${images.length} images`);
 
   // Filter to meaningful images
@@ -295,8 +550,14 @@ async function processImages(images) {
     return;
   }
 
+  // Visible images first, so they are also converted and submitted first
+  const byPriority = meaningful
+    .map(img => ({ img, priority: getImagePriority(img) }))
+    .sort((a, b) => a.priority - b.priority)
+    .map(({ img }) => img);
+
   // Process each image (queue will handle rate limiting)
-  const promises = meaningful.map(img => {
+  const promises = byPriority.map(img => {
     return processSingleImage(img).catch(error => {
       // Log but don't stop processing other images
       log('error', `Error processing image:`, error.message);
@@ -315,6 +576,9 @@ async function processImages(images) {
 async function processAllImages() {
   log('info', 'Starting to process all images on page');
 
+  // Shadow roots attached since the observers started are watched from now on
+  observeNewShadowRoots();
+
   const images = findAllImages();
   await processImages(images);
 
@@ -0,0 +1,240 @@
+/**
+ * Image Sources - Discovers describable elements and extracts a rasterizable source
+ * Besides <img> (including <picture>/srcset through currentSrc) this covers CSS
+ * background images, inline <svg>, <canvas>, <video poster> and role="img" containers.
+ * Traversal descends into open shadow roots; iframes run their own content script.
+ */
+
+// Subtrees that never contain describable content
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'IFRAME', 'OBJECT', 'EMBED']);
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// Stable keys for elements without a URL (canvas)
+const elementKeys = new WeakMap();
+let nextElementKey = 1;
+
+/**
+ * Get the URL of an element's CSS background image
+ * @param {Element} element - Any element
+ * @returns {string|null} Absolute URL, or null if there is no url() background
+ */
+function getBackgroundImageUrl(element) {
+  const backgroundImage = window.getComputedStyle(element).backgroundImage;
+  if (!backgroundImage || backgroundImage === 'none') {
+    return null;
+  }
+
+  // Gradients have no url(); with several layers the first image wins
+  const match = /url\(\s*(['"]?)(.*?)\1\s*\)/.exec(backgroundImage);
+  if (!match || !match[2]) {
+    return null;
+  }
+
+  try {
+    return new URL(match[2], document.baseURI).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Describe the rasterizable source behind an element
+ * @param {Element} element - Candidate element
+ * @returns {{kind: string, url: string|null, width: number, height: number}|null} Source, or null if nothing can be described
+ */
+function getImageSource(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+    return null;
+  }
+
+  switch (element.localName) {
+    case 'img':
+      // currentSrc is the candidate the browser picked from <picture>/srcset
+      return {
+        kind: 'img',
+        url: element.currentSrc || element.src,
+        width: element.naturalWidth,
+        height: element.naturalHeight
+      };
+
+    case 'svg': {
+      // Only outermost <svg> elements; nested ones are part of their parent drawing
+      if (element.namespaceURI !== SVG_NAMESPACE || element.parentElement?.closest('svg')) {
+        return null;
+      }
+      const rect = element.getBoundingClientRect();
+      return { kind: 'svg', url: null, width: Math.round(rect.width), height: Math.round(rect.height) };
+    }
+
+    case 'canvas':
+      return { kind: 'canvas', url: null, width: element.width, height: element.height };
+
+    case 'video': {
+      if (!element.poster) return null;
+      const rect = element.getBoundingClientRect();
+      return { kind: 'video-poster', url: element.poster, width: Math.round(rect.width), height: Math.round(rect.height) };
+    }
+
+    case 'html':
+    case 'body':
+      // Page backgrounds are decoration
+      return null;
+
+    default: {
+      const url = getBackgroundImageUrl(element);
+      if (!url) return null;
+
+      const rect = element.getBoundingClientRect();
+      return {
+        kind: element.getAttribute('role') === 'img' ? 'role-img' : 'background',
+        url,
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      };
+    }
+  }
+}
+
+/**
+ * Get a stable string identifying an element's image content
+ * @param {Element} element - Candidate element
+ * @returns {string} Key (the tracker's key for the image)
+ */
+function getSourceKey(element) {
+  const source = getImageSource(element);
+  if (!source) {
+    return `unknown:${getElementKey(element)}`;
+  }
+
+  if (source.url) {
+    return `${source.url}_${source.width}x${source.height}`;
+  }
+
+  if (source.kind === 'svg') {
+    return `svg:${element.outerHTML}`;
+  }
+
+  return `${source.kind}:${getElementKey(element)}`;
+}
+
+/**
+ * Get a per-element unique key
+ * @param {Element} element - Any element
+ * @returns {number} Key
+ */
+function getElementKey(element) {
+  if (!elementKeys.has(element)) {
+    elementKeys.set(element, nextElementKey++);
+  }
+  return elementKeys.get(element);
+}
+
+/**
+ * Short human-readable label for log messages
+ * @param {Element} element - Candidate element
+ * @returns {string} URL prefix or tag name
+ */
+function getSourceLabel(element) {
+  const source = getImageSource(element);
+  if (source && source.url) {
+    return source.url.substring(0, 50);
+  }
+  return `<${element.localName}>`;
+}
+
+/**
+ * Check whether an element can be described
+ * @param {Element} element - Any element
+ * @returns {boolean} True if it has a rasterizable image source
+ */
+function isImageCandidate(element) {
+  // <img> is always a candidate so the filters can report why it was skipped
+  if (element.localName === 'img') {
+    return true;
+  }
+  return getImageSource(element) !== null;
+}
+
+/**
+ * Collect all describable elements in a subtree (including the root and open shadow roots)
+ * @param {Element|Document|ShadowRoot} root - Subtree root
+ * @returns {Element[]} Candidate elements in document order
+ */
+function collectImageElements(root) {
+  const elements = [];
+
+  if (root.nodeType === Node.ELEMENT_NODE && isImageCandidate(root)) {
+    elements.push(root);
+  }
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, {
+    acceptNode(node) {
+      if (SKIPPED_TAGS.has(node.tagName)) {
+        return NodeFilter.FILTER_REJECT;
+      }
+      // Shapes inside an <svg> are part of that drawing
+      if (node.parentNode && node.parentNode.namespaceURI === SVG_NAMESPACE) {
+        return NodeFilter.FILTER_REJECT;
+      }
+      return NodeFilter.FILTER_ACCEPT;
+    }
+  });
+
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+
+    if (isImageCandidate(node)) {
+      elements.push(node);
+    }
+
+    // Descend into open shadow roots (web components)
+    if (node.shadowRoot) {
+      elements.push(...collectImageElements(node.shadowRoot));
+    }
+  }
+
+  return elements;
+}
+
+/**
+ * Call a function for every open shadow root in a subtree, including nested ones
+ * @param {Element|Document|ShadowRoot} root - Subtree root
+ * @param {Function} callback - Called with each ShadowRoot
+ */
+function forEachShadowRoot(root, callback) {
+  if (root.nodeType === Node.ELEMENT_NODE && root.shadowRoot) {
+    callback(root.shadowRoot);
+    forEachShadowRoot(root.shadowRoot, callback);
+  }
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+  while (walker.nextNode()) {
+    const shadowRoot = walker.currentNode.shadowRoot;
+    if (shadowRoot) {
+      callback(shadowRoot);
+      forEachShadowRoot(shadowRoot, callback);
+    }
+  }
+}
+
+/**
+ * querySelectorAll that also searches open shadow roots
+ * @param {Element|Document|ShadowRoot} root - Subtree root
+ * @param {string} selector - CSS selector
+ * @returns {Element[]} Matching elements (the root itself included)
+ */
+function querySelectorAllDeep(root, selector) {
+  const matches = [];
+
+  if (root.nodeType === Node.ELEMENT_NODE && root.matches(selector)) {
+    matches.push(root);
+  }
+
+  matches.push(...root.querySelectorAll(selector));
+  forEachShadowRoot(root, shadowRoot => {
+    matches.push(...shadowRoot.querySelectorAll(selector));
+  });
+
+  return matches;
+}
@@ -0,0 +1,72 @@
+/**
+ * Language - Decides which language descriptions are requested in
+ * Order: per-site setting, then the user's override, then the page language
+ * (nearest lang attribute, normally <html lang>), then the browser's UI language.
+ */
+
+// Configuration comes from utils/settings.js: descriptionLanguage, siteLanguages
+
+/**
+ * Normalize a BCP 47 language tag (e.g. "de_de" -> "de-DE")
+ * @param {string|null|undefined} tag - Language tag
+ * @returns {string} Normalized tag, or '' if the tag is empty or malformed
+ */
+function normalizeLanguageTag(tag) {
+  const value = String(tag || '').trim().replace(/_/g, '-');
+  if (!value) {
+    return '';
+  }
+
+  try {
+    return Intl.getCanonicalLocales(value)[0];
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Get the language of the page content around an element
+ * @param {Element} img - The image element
+ * @returns {string} Normalized tag, or '' if the page does not declare one
+ */
+function getPageLanguage(img) {
+  // The element's own lang as the author wrote it, ignoring the tag we may have added
+  const ownLanguage = tracker.getOriginal(img, 'lang');
+  if (ownLanguage) {
+    return normalizeLanguageTag(ownLanguage);
+  }
+
+  // closest() stops at shadow roots; the document language applies there
+  const declared = img.parentElement?.closest('[lang]')?.getAttribute('lang') || document.documentElement.lang;
+  return normalizeLanguageTag(declared);
+}
+
+/**
+ * Get the language a description of this image should be written in
+ * @param {Element} img - The image element
+ * @returns {string} Normalized language tag
+ */
+function getDescriptionLanguage(img) {
+  // Per-site settings follow the top-level page, also inside frames
+  const siteLanguage = normalizeLanguageTag(findSiteValue(getSetting('siteLanguages'), topLevelUrl));
+  if (siteLanguage) {
+    return siteLanguage;
+  }
+
+  const override = normalizeLanguageTag(getSetting('descriptionLanguage'));
+  if (override) {
+    return override;
+  }
+
+  return getPageLanguage(img) || normalizeLanguageTag(navigator.language) || 'en';
+}
+
+/**
+ * Check whether two language tags name the same language (region ignored)
+ * @param {string} a - Language tag
+ * @param {string} b - Language tag
+ * @returns {boolean} True if the primary language subtags match
+ */
+function isSameLanguage(a, b) {
+  return a.split('-')[0].toLowerCase() === b.split('-')[0].toLowerCase();
+}
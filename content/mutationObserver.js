@@ -1,10 +1,26 @@
 /**
  * Mutation Observer - Monitors DOM changes to detect new images
- * Handles dynamic content, modals, and lazy-loaded images
+ * Handles dynamic content, modals, lazy-loaded images and open shadow roots
  */
 
-// Configuration
-const DEBOUNCE_DELAY_MS = 1000;
+// Configuration comes from utils/settings.js: debounceDelayMs
+
+// Request priorities, lower is sent first
+const PRIORITY_VISIBLE = 0;
+const PRIORITY_NEAR_VIEWPORT = 1;
+const PRIORITY_OTHER = 2;
+
+// Images within one screen above or below the viewport count as near it
+const NEAR_VIEWPORT_MARGIN = '100% 0px';
+
+// What the intersection observers last reported per element: {visible, near}
+const imageVisibility = new WeakMap();
+
+// Observers feeding imageVisibility while processing runs: {visible, near}
+let priorityObservers = null;
+
+// Deep mutation observers -> function that starts watching a shadow root (true if it was new)
+const deepObserverRoots = new Map();
 
 function log(level, message, data) {
   imageAltLog('MutationObserver', level, message, data);
@@ -13,21 +29,105 @@ function log(level, message, data) {
 /**
  * Debounce function - delays execution until after calls have stopped
  * @param {Function} func - Function to debounce
- * @param {number} delay - Delay in milliseconds
+ * @param {number|Function} delay - Delay in milliseconds, or a getter read on every call
  * @returns {Function} Debounced function
  */
 function debounce(func, delay) {
   let timeoutId;
   return function(...args) {
     clearTimeout(timeoutId);
-    timeoutId = setTimeout(() => func.apply(this, args), delay);
+    const delayMs = typeof delay === 'function' ? delay() : delay;
+    timeoutId = setTimeout(() => func.apply(this, args), delayMs);
   };
 }
 
+/**
+ * Derive a request priority from an element's position in the viewport
+ * @param {DOMRectReadOnly} rect - Bounding rectangle relative to the viewport
+ * @returns {number} PRIORITY_VISIBLE, PRIORITY_NEAR_VIEWPORT or PRIORITY_OTHER
+ */
+function getPriorityFromRect(rect) {
+  const height = window.innerHeight;
+
+  // Not rendered (display: none, detached)
+  if (rect.width === 0 && rect.height === 0) {
+    return PRIORITY_OTHER;
+  }
+  if (rect.right <= 0 || rect.left >= window.innerWidth) {
+    return PRIORITY_OTHER;
+  }
+
+  if (rect.bottom > 0 && rect.top < height) {
+    return PRIORITY_VISIBLE;
+  }
+  return rect.bottom > -height && rect.top < 2 * height ? PRIORITY_NEAR_VIEWPORT : PRIORITY_OTHER;
+}
+
+/**
+ * Get the request priority of an image
+ * Uses what the intersection observers reported, or the current layout for images
+ * they have not reported yet.
+ * @param {Element} img - The image element
+ * @returns {number} Priority, lower is sent first
+ */
+function getImagePriority(img) {
+  const visibility = imageVisibility.get(img);
+  if (!visibility) {
+    return getPriorityFromRect(img.getBoundingClientRect());
+  }
+
+  if (visibility.visible) return PRIORITY_VISIBLE;
+  return visibility.near ? PRIORITY_NEAR_VIEWPORT : PRIORITY_OTHER;
+}
+
+/**
+ * Record intersection changes and re-prioritize the pending requests of images that moved
+ * @param {IntersectionObserverEntry[]} entries - Observer entries
+ * @param {string} flag - 'visible' or 'near'
+ */
+function updateImageVisibility(entries, flag) {
+  entries.forEach(entry => {
+    const img = entry.target;
+    const before = imageVisibility.has(img) ? getImagePriority(img) : null;
+
+    imageVisibility.set(img, { ...imageVisibility.get(img), [flag]: entry.isIntersecting });
+
+    const priority = getImagePriority(img);
+    if (priority !== before) {
+      setImagePriority(img, priority);
+    }
+  });
+}
+
+/**
+ * Watch an image's position while its request is pending
+ * @param {Element} img - The image element
+ */
+function observeImagePriority(img) {
+  if (!priorityObservers) return;
+
+  priorityObservers.visible.observe(img);
+  priorityObservers.near.observe(img);
+}
+
+/**
+ * Stop watching an image's position once its request settled
+ * @param {Element} img - The image element
+ */
+function unobserveImagePriority(img) {
+  if (!priorityObservers) return;
+
+  // <img> elements stay observed for lazy loading
+  if (img.tagName !== 'IMG') {
+    priorityObservers.visible.unobserve(img);
+  }
+  priorityObservers.near.unobserve(img);
+}
+
 /**
  * Extract images from mutation records
  * @param {MutationRecord[]} mutations - Array of mutation records
- * @returns {HTMLImageElement[]} Array of new images
+ * @returns {Element[]} Array of new images
  */
 function extractImagesFromMutations(mutations) {
   const newImages = [];
@@ -38,21 +138,14 @@ function extractImagesFromMutations(mutations) {
     if (mutation.type === 'childList') {
       mutation.addedNodes.forEach(node => {
         if (node.nodeType === Node.ELEMENT_NODE) {
-          // Check if the node itself is an image
-          if (node.tagName === 'IMG' && !imageSet.has(node)) {
-            newImages.push(node);
-            imageSet.add(node);
-          }
-
-          // Check for images within the added subtree
-          if (node.querySelectorAll) {
-            node.querySelectorAll('img').forEach(img => {
-              if (!imageSet.has(img)) {
-                newImages.push(img);
-                imageSet.add(img);
-              }
-            });
-          }
+          // The node itself and any images within the added subtree
+          // (<img>, backgrounds, <svg>, <canvas>, video posters)
+          collectImageElements(node).forEach(img => {
+            if (!imageSet.has(img)) {
+              newImages.push(img);
+              imageSet.add(img);
+            }
+          });
         }
       });
     }
@@ -69,6 +162,13 @@ function extractImagesFromMutations(mutations) {
         }
       }
     }
+
+    // Poster set on a <video> after insertion
+    if (mutation.type === 'attributes' && mutation.attributeName === 'poster' &&
+        mutation.target.poster && !imageSet.has(mutation.target)) {
+      newImages.push(mutation.target);
+      imageSet.add(mutation.target);
+    }
   });
 
   return newImages;
@@ -108,8 +208,23 @@ function isInModal(mutation) {
 function handleMutations(mutations) {
   log('debug', `Received ${mutations.length} mutations`);
 
-  // Extract new images
+  // Images removed from the page no longer need a description
+  if (mutations.some(mutation => mutation.removedNodes.length > 0)) {
+    abortDetachedImageRequests();
+  }
+
+  // Extract new images, including those of shadow roots attached to the added nodes
+  // after they were inserted (custom elements upgraded later)
+  const addedElements = mutations.flatMap(mutation => Array.from(mutation.addedNodes))
+    .filter(node => node.nodeType === Node.ELEMENT_NODE && node.isConnected);
   const newImages = extractImagesFromMutations(mutations);
+  observeNewShadowRoots(addedElements).forEach(root => {
+    collectImageElements(root).forEach(img => {
+      if (!newImages.includes(img)) {
+        newImages.push(img);
+      }
+    });
+  });
 
   if (newImages.length === 0) {
     log('debug', 'No new images in mutations');
@@ -127,8 +242,8 @@ function handleMutations(mutations) {
   // Wait for images to load before processing
   const loadPromises = newImages.map(img => {
     return new Promise((resolve) => {
-      if (img.complete && img.naturalWidth > 0) {
-        // Already loaded
+      if (img.tagName !== 'IMG' || (img.complete && img.naturalWidth > 0)) {
+        // Already loaded (other image kinds load during conversion)
         resolve(img);
       } else {
         // Wait for load
@@ -155,7 +270,79 @@ function handleMutations(mutations) {
 /**
  * Create debounced mutation handler
  */
-const debouncedHandler = debounce(handleMutations, DEBOUNCE_DELAY_MS);
+const debouncedHandler = debounce(handleMutations, () => getSetting('debounceDelayMs'));
+
+/**
+ * Create a MutationObserver that watches document.body and every open shadow root,
+ * including shadow roots of elements added later
+ * A shadow root attached to an element that is already in the page produces no
+ * mutation; observeNewShadowRoots() picks those up.
+ * @param {Function} callback - Mutation callback
+ * @param {object} options - MutationObserver options for every observed root
+ * @param {Function} [onNewRoot] - Called with each new root observeNewShadowRoots() passes in
+ * @returns {MutationObserver} Observer (disconnect() stops all roots)
+ */
+function createDeepMutationObserver(callback, options, onNewRoot) {
+  const observedRoots = new WeakSet();
+
+  const observer = new MutationObserver((mutations) => {
+    // Start watching shadow roots that arrived with the added nodes
+    mutations.forEach(mutation => {
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          forEachShadowRoot(node, observeRoot);
+        }
+      });
+    });
+
+    callback(mutations);
+  });
+
+  function observeRoot(root) {
+    if (observedRoots.has(root)) return;
+    observedRoots.add(root);
+    observer.observe(root, options);
+  }
+
+  observeRoot(document.body);
+  forEachShadowRoot(document.body, observeRoot);
+
+  deepObserverRoots.set(observer, (root) => {
+    if (observedRoots.has(root)) return false;
+
+    observeRoot(root);
+    onNewRoot?.(root);
+    return true;
+  });
+
+  return observer;
+}
+
+/**
+ * Start watching open shadow roots that were attached to existing elements
+ * The whole page is walked only for full scans; mutation batches pass their added nodes.
+ * @param {Element[]} [subtrees] - Where to look, the whole <body> by default
+ * @returns {ShadowRoot[]} Roots none of the observers watched before
+ */
+function observeNewShadowRoots(subtrees = [document.body]) {
+  if (deepObserverRoots.size === 0) {
+    return [];
+  }
+
+  const newRoots = new Set();
+
+  subtrees.forEach(subtree => {
+    forEachShadowRoot(subtree, root => {
+      deepObserverRoots.forEach(addRoot => {
+        if (addRoot(root)) {
+          newRoots.add(root);
+        }
+      });
+    });
+  });
+
+  return [...newRoots];
+}
 
 /**
  * Initialize mutation observer
@@ -163,15 +350,12 @@ const debouncedHandler = debounce(handleMutations, DEBOUNCE_DELAY_MS);
 function initializeMutationObserver() {
   log('info', 'Initializing MutationObserver');
 
-  // Create observer
-  const observer = new MutationObserver(debouncedHandler);
-
-  // Start observing
-  observer.observe(document.body, {
+  // Create observer and start observing the page and its shadow roots
+  const observer = createDeepMutationObserver(debouncedHandler, {
     childList: true,
     subtree: true,
     attributes: true,
-    attributeFilter: ['src', 'srcset']
+    attributeFilter: ['src', 'srcset', 'poster']
   });
 
   log('info', 'MutationObserver started');
@@ -182,12 +366,17 @@ function initializeMutationObserver() {
 
 /**
  * Intersection Observer for lazy-loaded images
- * Triggers processing when images enter viewport
+ * Triggers processing when images enter viewport. Together with a second observer
+ * with a wider margin it also tracks which pending images are visible or near the
+ * viewport, so their requests can be re-prioritized while the user scrolls.
+ * @returns {{intersectionObserver: IntersectionObserver, nearViewportObserver: IntersectionObserver, mutationObserver: MutationObserver}} Observers
  */
 function initializeIntersectionObserver() {
   log('info', 'Initializing IntersectionObserver');
 
   const observer = new IntersectionObserver((entries) => {
+    updateImageVisibility(entries, 'visible');
+
     const visibleImages = entries
       .filter(entry => entry.isIntersecting)
       .map(entry => entry.target)
@@ -206,35 +395,46 @@ function initializeIntersectionObserver() {
     rootMargin: '50px' // Start loading slightly before entering viewport
   });
 
-  // Observe all current images
-  document.querySelectorAll('img').forEach(img => {
+  // Observe all current images, including those in shadow roots
+  querySelectorAllDeep(document.body, 'img').forEach(img => {
     observer.observe(img);
   });
 
   // Also observe new images as they're added
-  const mutationObserver = new MutationObserver((mutations) => {
+  const mutationObserver = createDeepMutationObserver((mutations) => {
     mutations.forEach(mutation => {
       mutation.addedNodes.forEach(node => {
         if (node.nodeType === Node.ELEMENT_NODE) {
-          if (node.tagName === 'IMG') {
-            observer.observe(node);
-          }
-          node.querySelectorAll?.('img').forEach(img => {
+          querySelectorAllDeep(node, 'img').forEach(img => {
             observer.observe(img);
           });
         }
       });
     });
-  });
-
-  mutationObserver.observe(document.body, {
+  }, {
     childList: true,
     subtree: true
+  }, (root) => {
+    querySelectorAllDeep(root, 'img').forEach(img => {
+      observer.observe(img);
+    });
+  });
+
+  const nearViewportObserver = new IntersectionObserver((entries) => {
+    updateImageVisibility(entries, 'near');
+  }, {
+    rootMargin: NEAR_VIEWPORT_MARGIN
   });
 
+  priorityObservers = { visible: observer, near: nearViewportObserver };
+
   log('info', 'IntersectionObserver started');
 
-  return observer;
+  return {
+    intersectionObserver: observer,
+    nearViewportObserver,
+    mutationObserver
+  };
 }
 
 /**
@@ -243,11 +443,13 @@ function initializeIntersectionObserver() {
  */
 function startObservers() {
   const mutationObs = initializeMutationObserver();
-  const intersectionObs = initializeIntersectionObserver();
+  const lazyObservers = initializeIntersectionObserver();
 
   return {
     mutationObserver: mutationObs,
-    intersectionObserver: intersectionObs
+    intersectionObserver: lazyObservers.intersectionObserver,
+    nearViewportObserver: lazyObservers.nearViewportObserver,
+    lazyMutationObserver: lazyObservers.mutationObserver
   };
 }
 
@@ -258,6 +460,7 @@ function startObservers() {
 function stopObservers(observers) {
   if (observers.mutationObserver) {
     observers.mutationObserver.disconnect();
+    deepObserverRoots.delete(observers.mutationObserver);
     log('info', 'MutationObserver stopped');
   }
 
@@ -265,4 +468,14 @@ function stopObservers(observers) {
     observers.intersectionObserver.disconnect();
     log('info', 'IntersectionObserver stopped');
   }
+
+  if (observers.nearViewportObserver) {
+    observers.nearViewportObserver.disconnect();
+    priorityObservers = null;
+  }
+
+  if (observers.lazyMutationObserver) {
+    observers.lazyMutationObserver.disconnect();
+    deepObserverRoots.delete(observers.lazyMutationObserver);
+  }
 }
@@ -0,0 +1,304 @@
+/**
+ * On Demand - Describes the image the user picked from the context menu
+ * The background script's "Describe this image" entry sends DESCRIBE_TARGET to the frame
+ * that was right-clicked. The target is the element under the pointer or its nearest
+ * ancestor with an image source, so CSS backgrounds, <svg> and <canvas> work as well
+ * as <img>. Filters, the site rules and the paused queue are ignored; the result is
+ * shown in a small popover with a copy button.
+ */
+
+function log(level, message, data) {
+  imageAltLog('OnDemand', level, message, data);
+}
+
+const ON_DEMAND_POPOVER_CSS = `
+  :host { all: initial; }
+  .popover {
+    position: fixed;
+    z-index: 2147483647;
+    width: 320px;
+    max-width: calc(100vw - 16px);
+    padding: 12px;
+    border: 1px solid #dadce0;
+    border-radius: 8px;
+    background: #fff;
+    color: #202124;
+    font: 13px/1.4 system-ui, sans-serif;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+  }
+  .popover h2 { margin: 0 0 4px; font-size: 14px; }
+  .source { margin: 0 0 8px; color: #5f6368; word-break: break-all; }
+  textarea {
+    box-sizing: border-box;
+    width: 100%;
+    min-height: 72px;
+    font: inherit;
+    resize: vertical;
+    background: #f1f3f4;
+  }
+  .status { min-height: 1.4em; margin: 4px 0; color: #5f6368; }
+  .actions { display: flex; gap: 6px; }
+  .actions button { font: inherit; padding: 4px 10px; cursor: pointer; }
+  button:focus-visible, textarea:focus-visible {
+    outline: 3px solid #fbbc04;
+    outline-offset: 1px;
+  }
+`;
+
+// Innermost element of the last right-click, inside shadow roots too
+let contextMenuTarget = null;
+
+// Open popover: {host, container, img, returnFocus}
+let onDemandPopover = null;
+
+/**
+ * Find the describable element at or above a node
+ * Climbs out of shadow roots through their hosts.
+ * @param {Node|null} node - Element the user pointed at
+ * @returns {Element|null} Nearest element with an image source
+ */
+function findDescribableElement(node) {
+  let element = node && node.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+
+  while (element) {
+    if (getImageSource(element)) {
+      return element;
+    }
+    element = element.parentElement || element.getRootNode().host || null;
+  }
+
+  return null;
+}
+
+/**
+ * Find the element the context menu was opened on
+ * @param {string|null} srcUrl - Image URL the browser reported, if it was an image
+ * @returns {Element|null} Element to describe
+ */
+function findContextMenuTarget(srcUrl) {
+  const element = findDescribableElement(contextMenuTarget);
+  if (element) {
+    return element;
+  }
+
+  // The page may have swallowed the contextmenu event: look the image up by URL
+  if (srcUrl) {
+    return querySelectorAllDeep(document.documentElement, 'img')
+      .find(img => (img.currentSrc || img.src) === srcUrl) || null;
+  }
+
+  return null;
+}
+
+/**
+ * Copy text to the clipboard
+ * The async clipboard API needs a secure page; elsewhere the selected text is copied.
+ * @param {string} text - Text to copy
+ * @param {HTMLTextAreaElement} textarea - Field holding the text
+ * @returns {Promise<boolean>} Whether the text was copied
+ */
+async function copyToClipboard(text, textarea) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (error) {
+    log('debug', 'Clipboard API unavailable, copying the selection:', error.message);
+    textarea.focus();
+    textarea.select();
+    return document.execCommand('copy');
+  }
+}
+
+/**
+ * Open the popover for an image, replacing one that is already open
+ * @param {Element} img - Image being described
+ * @returns {{textarea: HTMLTextAreaElement, status: HTMLElement, copyButton: HTMLButtonElement}} Parts to fill in
+ */
+function openOnDemandPopover(img) {
+  closeOnDemandPopover(false);
+
+  const host = document.createElement('div');
+  host.setAttribute('data-image-alt-on-demand', '');
+  host.style.cssText = 'position:absolute!important;top:0!important;left:0!important;' +
+    'width:0!important;height:0!important;overflow:visible!important;';
+
+  const root = host.attachShadow({ mode: 'closed' });
+  const style = document.createElement('style');
+  style.textContent = ON_DEMAND_POPOVER_CSS;
+
+  const container = document.createElement('div');
+  container.className = 'popover';
+  container.setAttribute('role', 'dialog');
+  container.setAttribute('aria-labelledby', 'on-demand-title');
+
+  const title = document.createElement('h2');
+  title.id = 'on-demand-title';
+  title.textContent = 'Image description';
+
+  const source = document.createElement('p');
+  source.className = 'source';
+  source.textContent = getSourceLabel(img);
+
+  const textarea = document.createElement('textarea');
+  textarea.readOnly = true;
+  textarea.setAttribute('aria-labelledby', 'on-demand-title');
+
+  const status = document.createElement('p');
+  status.className = 'status';
+  status.setAttribute('role', 'status');
+  status.setAttribute('aria-live', 'polite');
+  status.textContent = 'Describing…';
+
+  const copyButton = document.createElement('button');
+  copyButton.type = 'button';
+  copyButton.textContent = 'Copy';
+  copyButton.disabled = true;
+  copyButton.addEventListener('click', async () => {
+    const copied = await copyToClipboard(textarea.value, textarea);
+    status.textContent = copied ? 'Copied to clipboard.' : 'Could not copy; select the text and copy it yourself.';
+  });
+
+  const closeButton = document.createElement('button');
+  closeButton.type = 'button';
+  closeButton.textContent = 'Close';
+  closeButton.addEventListener('click', () => closeOnDemandPopover(true));
+
+  const actions = document.createElement('div');
+  actions.className = 'actions';
+  actions.append(copyButton, closeButton);
+
+  container.append(title, source, textarea, status, actions);
+  container.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      closeOnDemandPopover(true);
+    }
+  });
+
+  root.append(style, container);
+
+  // On <html> next to the review overlay, out of reach of our <body> observers
+  document.documentElement.appendChild(host);
+  positionOnDemandPopover(container, img);
+
+  onDemandPopover = { host, container, img, returnFocus: document.activeElement };
+  document.addEventListener('pointerdown', handleOutsidePointerDown, true);
+  closeButton.focus();
+
+  return { textarea, status, copyButton };
+}
+
+/**
+ * Place the popover below the image (above it if there is no room), inside the viewport
+ * @param {HTMLElement} container - Popover element
+ * @param {Element} img - Image being described
+ */
+function positionOnDemandPopover(container, img) {
+  const imageRect = img.getBoundingClientRect();
+  const popoverRect = container.getBoundingClientRect();
+  const margin = 8;
+
+  const left = Math.min(imageRect.left, window.innerWidth - popoverRect.width - margin);
+  let top = imageRect.bottom + margin;
+  if (top + popoverRect.height > window.innerHeight - margin) {
+    top = imageRect.top - popoverRect.height - margin;
+  }
+  if (top < margin) {
+    // Image taller than the viewport: cover its visible part
+    top = Math.min(Math.max(imageRect.top, margin), window.innerHeight - popoverRect.height - margin);
+  }
+
+  container.style.left = `${Math.max(margin, left)}px`;
+  container.style.top = `${Math.max(margin, top)}px`;
+}
+
+/**
+ * Close the popover when the user clicks elsewhere on the page
+ * @param {PointerEvent} event - Pointer event
+ */
+function handleOutsidePointerDown(event) {
+  if (onDemandPopover && !event.composedPath().includes(onDemandPopover.host)) {
+    closeOnDemandPopover(false);
+  }
+}
+
+/**
+ * Close the popover
+ * @param {boolean} restoreFocus - Return focus to where it was before the popover opened
+ */
+function closeOnDemandPopover(restoreFocus) {
+  if (!onDemandPopover) return;
+
+  const { host, returnFocus } = onDemandPopover;
+  onDemandPopover = null;
+  host.remove();
+  document.removeEventListener('pointerdown', handleOutsidePointerDown, true);
+
+  if (restoreFocus && returnFocus && returnFocus.isConnected) {
+    returnFocus.focus();
+  }
+}
+
+/**
+ * Describe an element and show the result in the popover
+ * @param {Element} img - Element with an image source
+ * @returns {Promise<object|null>} Result of describeOnDemand(), or null if the image
+ *   could not be described (the popover shows why)
+ */
+async function describeInPopover(img) {
+  const { textarea, status, copyButton } = openOnDemandPopover(img);
+  const popover = onDemandPopover;
+
+  try {
+    const result = await describeOnDemand(img, (text) => {
+      if (onDemandPopover === popover) {
+        textarea.value = text;
+      }
+    });
+
+    // Closed or replaced meanwhile
+    if (onDemandPopover !== popover) return result;
+
+    if (!result) {
+      status.textContent = 'Image is too large to describe.';
+    } else if (result.description === '') {
+      textarea.value = '';
+      textarea.placeholder = 'Decorative (no description)';
+      status.textContent = 'The image looks decorative.';
+    } else {
+      textarea.value = result.description;
+      status.textContent = 'Description ready.';
+      copyButton.disabled = false;
+    }
+    return result;
+  } catch (error) {
+    log('error', 'On-demand description failed:', error.message);
+    if (onDemandPopover === popover) {
+      status.textContent = `Failed: ${error.message}`;
+    }
+    return null;
+  }
+}
+
+/**
+ * Describe the element the context menu was opened on
+ * @param {string|null} srcUrl - Image URL reported by the browser
+ * @returns {boolean} Whether an image was found
+ */
+function describeContextMenuTarget(srcUrl) {
+  const img = findContextMenuTarget(srcUrl);
+
+  if (!img) {
+    log('info', 'No image at the context menu position');
+    return false;
+  }
+
+  describeInPopover(img);
+  return true;
+}
+
+// Remember what was right-clicked; capture so the page cannot hide it from us
+window.addEventListener('contextmenu', (event) => {
+  contextMenuTarget = event.composedPath()[0] || event.target;
+}, true);
@@ -0,0 +1,157 @@
+/**
+ * Page Context - Collects text around an image to send along with it
+ * Helps the server tell a product photo from a news photo. Every field can be
+ * switched off in the settings and is capped in length before it leaves the page.
+ */
+
+// Configuration comes from utils/settings.js:
+// contextFigcaption, contextLinkText, contextHeading, contextParagraph,
+// contextPageTitle, contextExistingAlt, contextFilename, contextMaxLength
+
+// How many ancestors to climb when looking for a heading or paragraph
+const CONTEXT_MAX_DEPTH = 5;
+
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6, [role="heading"]';
+
+/**
+ * Collapse whitespace and cap the length of a context value
+ * @param {string|null|undefined} text - Raw text
+ * @returns {string} Cleaned text, '' if empty
+ */
+function cleanContextText(text) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  const maxLength = getSetting('contextMaxLength');
+
+  if (value.length <= maxLength) {
+    return value;
+  }
+  return `${value.substring(0, maxLength - 1).trimEnd()}…`;
+}
+
+/**
+ * Get the caption of the <figure> containing an image
+ * @param {Element} img - The image element
+ * @returns {string} Caption text
+ */
+function getFigcaptionText(img) {
+  const figure = img.closest('figure');
+  return figure?.querySelector('figcaption')?.textContent || '';
+}
+
+/**
+ * Get the text of a link wrapping an image (without the image's own alt)
+ * @param {Element} img - The image element
+ * @returns {string} Link text
+ */
+function getLinkText(img) {
+  const link = img.closest('a[href]');
+  if (!link) return '';
+
+  return link.textContent || link.getAttribute('aria-label') || link.getAttribute('title') || '';
+}
+
+/**
+ * Find the closest heading before an image in document order
+ * @param {Element} img - The image element
+ * @returns {string} Heading text
+ */
+function getNearestHeadingText(img) {
+  let node = img;
+
+  for (let depth = 0; node && depth < CONTEXT_MAX_DEPTH; depth++) {
+    for (let sibling = node.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+      if (sibling.matches(HEADING_SELECTOR)) {
+        return sibling.textContent;
+      }
+
+      const headings = sibling.querySelectorAll(HEADING_SELECTOR);
+      if (headings.length > 0) {
+        return headings[headings.length - 1].textContent;
+      }
+    }
+    node = node.parentElement;
+  }
+
+  return '';
+}
+
+/**
+ * Find the paragraph containing or next to an image
+ * @param {Element} img - The image element
+ * @returns {string} Paragraph text
+ */
+function getAdjacentParagraphText(img) {
+  const enclosing = img.closest('p');
+  if (enclosing) {
+    return enclosing.textContent;
+  }
+
+  let node = img;
+
+  for (let depth = 0; node && depth < CONTEXT_MAX_DEPTH; depth++) {
+    const next = node.nextElementSibling;
+    const previous = node.previousElementSibling;
+
+    for (const sibling of [next, previous]) {
+      if (!sibling) continue;
+
+      const paragraph = sibling.matches('p') ? sibling : sibling.querySelector('p');
+      if (paragraph && paragraph.textContent.trim()) {
+        return paragraph.textContent;
+      }
+    }
+    node = node.parentElement;
+  }
+
+  return '';
+}
+
+/**
+ * Get the file name of an image URL
+ * @param {Element} img - The image element
+ * @returns {string} Decoded file name, '' for data: URLs and URL-less images
+ */
+function getImageFileName(img) {
+  const url = getImageSource(img)?.url;
+  if (!url || url.startsWith('data:')) {
+    return '';
+  }
+
+  const fileName = url.split(/[?#]/)[0].split('/').pop() || '';
+  try {
+    return decodeURIComponent(fileName);
+  } catch (error) {
+    return fileName;
+  }
+}
+
+/**
+ * Collect the enabled context fields for an image
+ * @param {Element} img - The image element
+ * @returns {object} Non-empty fields among figcaption, linkText, heading,
+ *   paragraph, pageTitle, existingAlt and filename
+ */
+function collectImageContext(img) {
+  const fields = {
+    figcaption: ['contextFigcaption', () => getFigcaptionText(img)],
+    linkText: ['contextLinkText', () => getLinkText(img)],
+    heading: ['contextHeading', () => getNearestHeadingText(img)],
+    paragraph: ['contextParagraph', () => getAdjacentParagraphText(img)],
+    pageTitle: ['contextPageTitle', () => document.title],
+    existingAlt: ['contextExistingAlt', () => getExistingLabel(img)],
+    filename: ['contextFilename', () => getImageFileName(img)]
+  };
+
+  const context = {};
+
+  for (const [field, [settingKey, read]] of Object.entries(fields)) {
+    if (!getSetting(settingKey)) continue;
+
+    const value = cleanContextText(read());
+    if (value) {
+      context[field] = value;
+    }
+  }
+
+  return context;
+}
@@ -0,0 +1,426 @@
+/**
+ * Review Overlay - Lets the user check and correct generated descriptions in place
+ * With the reviewMode setting on, every described image gets a small badge; activating
+ * it opens a dialog to accept, edit, regenerate or mark the image as decorative.
+ * The UI lives in a closed shadow root so page styles cannot reach it, and every
+ * action is reachable from the keyboard.
+ */
+
+function log(level, message, data) {
+  imageAltLog('ReviewOverlay', level, message, data);
+}
+
+// Badge offset from the image's top-left corner (px)
+const REVIEW_BADGE_OFFSET = 4;
+
+const REVIEW_OVERLAY_CSS = `
+  :host { all: initial; }
+  .badge {
+    position: absolute;
+    z-index: 2147483646;
+    min-width: 24px;
+    height: 24px;
+    padding: 0 6px;
+    border: 1px solid #fff;
+    border-radius: 12px;
+    background: #1a73e8;
+    color: #fff;
+    font: bold 11px/22px system-ui, sans-serif;
+    cursor: pointer;
+    box-shadow: 0 1px 3px rgba(0, 0, 0, 0.4);
+  }
+  .badge.accepted { background: #188038; }
+  .badge.decorative { background: #5f6368; }
+  .badge[hidden] { display: none; }
+  .badge:focus-visible, button:focus-visible, textarea:focus-visible {
+    outline: 3px solid #fbbc04;
+    outline-offset: 1px;
+  }
+  .dialog {
+    position: fixed;
+    z-index: 2147483647;
+    width: 360px;
+    max-width: calc(100vw - 16px);
+    padding: 12px;
+    border: 1px solid #dadce0;
+    border-radius: 8px;
+    background: #fff;
+    color: #202124;
+    font: 13px/1.4 system-ui, sans-serif;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+  }
+  .dialog h2 { margin: 0 0 4px; font-size: 14px; }
+  .source { margin: 0 0 8px; color: #5f6368; word-break: break-all; }
+  textarea {
+    box-sizing: border-box;
+    width: 100%;
+    min-height: 72px;
+    font: inherit;
+    resize: vertical;
+  }
+  textarea[readonly] { background: #f1f3f4; }
+  .status { min-height: 1.4em; margin: 4px 0; color: #5f6368; }
+  .actions { display: flex; flex-wrap: wrap; gap: 6px; }
+  .actions button { font: inherit; padding: 4px 10px; cursor: pointer; }
+`;
+
+// Overlay host and its closed shadow root (created on first use)
+let reviewHost = null;
+let reviewRoot = null;
+
+// element -> badge button
+const reviewBadges = new Map();
+
+// Elements the user accepted as they are
+const acceptedImages = new WeakSet();
+
+// Open dialog: {container, img, badge}
+let reviewDialog = null;
+
+let badgeLayoutScheduled = false;
+
+/**
+ * Create the overlay host on first use
+ * @returns {ShadowRoot} Root that holds badges and the dialog
+ */
+function getReviewRoot() {
+  if (reviewRoot && reviewHost.isConnected) {
+    return reviewRoot;
+  }
+
+  reviewHost = document.createElement('div');
+  reviewHost.setAttribute('data-image-alt-review', '');
+  reviewHost.style.cssText = 'position:absolute!important;top:0!important;left:0!important;' +
+    'width:0!important;height:0!important;overflow:visible!important;';
+
+  reviewRoot = reviewHost.attachShadow({ mode: 'closed' });
+  const style = document.createElement('style');
+  style.textContent = REVIEW_OVERLAY_CSS;
+  reviewRoot.appendChild(style);
+
+  // Outside <body>, which is all our mutation observers watch, so badges do not trigger
+  // a rescan. Page scripts observing the whole document still see the host, though
+  // not what is inside its closed shadow root.
+  document.documentElement.appendChild(reviewHost);
+
+  window.addEventListener('scroll', scheduleBadgeLayout, { capture: true, passive: true });
+  window.addEventListener('resize', scheduleBadgeLayout, { passive: true });
+
+  return reviewRoot;
+}
+
+/**
+ * Reposition badges on the next animation frame
+ */
+function scheduleBadgeLayout() {
+  if (badgeLayoutScheduled) return;
+  badgeLayoutScheduled = true;
+
+  requestAnimationFrame(() => {
+    badgeLayoutScheduled = false;
+    layoutBadges();
+  });
+}
+
+/**
+ * Place every badge over the top-left corner of its image
+ */
+function layoutBadges() {
+  for (const [img, badge] of reviewBadges) {
+    if (!img.isConnected) {
+      removeReviewBadge(img);
+      continue;
+    }
+
+    const rect = img.getBoundingClientRect();
+    badge.hidden = rect.width === 0 || rect.height === 0;
+    badge.style.left = `${rect.left + window.scrollX + REVIEW_BADGE_OFFSET}px`;
+    badge.style.top = `${rect.top + window.scrollY + REVIEW_BADGE_OFFSET}px`;
+  }
+}
+
+/**
+ * Update a badge's text and accessible name from the tracker record
+ * @param {Element} img - The image element
+ * @param {HTMLButtonElement} badge - Its badge
+ */
+function updateBadge(img, badge) {
+  const description = tracker.getRecord(img)?.description ?? '';
+  const decorative = description === '';
+  const accepted = acceptedImages.has(img);
+
+  badge.classList.toggle('decorative', decorative);
+  badge.classList.toggle('accepted', accepted && !decorative);
+  badge.textContent = decorative ? 'ALT –' : accepted ? 'ALT ✓' : 'ALT';
+  badge.setAttribute('aria-label', decorative
+    ? 'Review image description: marked decorative'
+    : `Review image description: ${description}`);
+}
+
+/**
+ * Show (or refresh) the review badge of a described image
+ * @param {Element} img - The image element
+ */
+function showReviewBadge(img) {
+  const root = getReviewRoot();
+  let badge = reviewBadges.get(img);
+
+  if (!badge) {
+    badge = document.createElement('button');
+    badge.type = 'button';
+    badge.className = 'badge';
+    badge.addEventListener('click', () => openReviewDialog(img));
+    root.appendChild(badge);
+    reviewBadges.set(img, badge);
+  }
+
+  updateBadge(img, badge);
+  scheduleBadgeLayout();
+}
+
+/**
+ * Remove the review badge of one image
+ * @param {Element} img - The image element
+ */
+function removeReviewBadge(img) {
+  const badge = reviewBadges.get(img);
+  if (!badge) return;
+
+  if (reviewDialog && reviewDialog.img === img) {
+    closeReviewDialog(false);
+  }
+
+  badge.remove();
+  reviewBadges.delete(img);
+}
+
+/**
+ * Remove every badge and the dialog (review mode off, or page reverted)
+ */
+function removeAllReviewBadges() {
+  closeReviewDialog(false);
+
+  for (const img of Array.from(reviewBadges.keys())) {
+    removeReviewBadge(img);
+  }
+
+  if (reviewHost) {
+    reviewHost.remove();
+    reviewHost = null;
+    reviewRoot = null;
+    window.removeEventListener('scroll', scheduleBadgeLayout, { capture: true });
+    window.removeEventListener('resize', scheduleBadgeLayout);
+  }
+}
+
+/**
+ * Show badges for every image described so far (review mode switched on)
+ */
+function showAllReviewBadges() {
+  tracker.getDescribedElements().forEach(showReviewBadge);
+}
+
+/**
+ * Create a dialog button
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} Button
+ */
+function createDialogButton(label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Open the review dialog for an image
+ * @param {Element} img - The image element
+ */
+function openReviewDialog(img) {
+  closeReviewDialog(false);
+
+  const badge = reviewBadges.get(img);
+  const record = tracker.getRecord(img);
+  if (!badge || !record) return;
+
+  const container = document.createElement('div');
+  container.className = 'dialog';
+  container.setAttribute('role', 'dialog');
+  container.setAttribute('aria-modal', 'true');
+  container.setAttribute('aria-labelledby', 'review-title');
+
+  const title = document.createElement('h2');
+  title.id = 'review-title';
+  title.textContent = 'Image description';
+
+  const source = document.createElement('p');
+  source.className = 'source';
+  source.textContent = getSourceLabel(img);
+
+  const textarea = document.createElement('textarea');
+  textarea.readOnly = true;
+  textarea.value = record.description || '';
+  textarea.placeholder = 'Decorative (no description)';
+  textarea.setAttribute('aria-labelledby', 'review-title');
+
+  const status = document.createElement('p');
+  status.className = 'status';
+  status.setAttribute('role', 'status');
+  status.setAttribute('aria-live', 'polite');
+
+  const actions = document.createElement('div');
+  actions.className = 'actions';
+
+  const editButton = createDialogButton('Edit', () => {
+    if (textarea.readOnly) {
+      textarea.readOnly = false;
+      editButton.textContent = 'Save';
+      textarea.focus();
+      textarea.select();
+    } else {
+      saveReviewEdit(img, textarea.value.trim());
+      closeReviewDialog(true);
+    }
+  });
+
+  const regenerateButton = createDialogButton('Regenerate', async () => {
+    status.textContent = 'Requesting a new description…';
+    container.querySelectorAll('button').forEach(button => { button.disabled = true; });
+
+    try {
+      const description = await regenerateDescription(img);
+      if (description === null) {
+        status.textContent = 'Image is too large to describe.';
+      } else {
+        acceptedImages.delete(img);
+        textarea.value = description;
+        status.textContent = 'New description applied.';
+      }
+    } catch (error) {
+      log('error', 'Regenerate failed:', error.message);
+      status.textContent = `Failed: ${error.message}`;
+    } finally {
+      container.querySelectorAll('button').forEach(button => { button.disabled = false; });
+    }
+  });
+
+  actions.append(
+    createDialogButton('Accept', () => {
+      acceptedImages.add(img);
+      updateBadge(img, badge);
+      closeReviewDialog(true);
+    }),
+    editButton,
+    regenerateButton,
+    createDialogButton('Mark decorative', () => {
+      saveReviewEdit(img, '');
+      closeReviewDialog(true);
+    }),
+    createDialogButton('Close', () => closeReviewDialog(true))
+  );
+
+  container.append(title, source, textarea, status, actions);
+  container.addEventListener('keydown', handleDialogKeydown);
+
+  getReviewRoot().appendChild(container);
+  positionReviewDialog(container, badge);
+
+  reviewDialog = { container, img, badge };
+  actions.firstElementChild.focus();
+}
+
+/**
+ * Place the dialog next to its badge, kept inside the viewport
+ * @param {HTMLElement} container - Dialog element
+ * @param {HTMLButtonElement} badge - Badge that opened it
+ */
+function positionReviewDialog(container, badge) {
+  const badgeRect = badge.getBoundingClientRect();
+  const dialogRect = container.getBoundingClientRect();
+  const margin = 8;
+
+  const left = Math.min(badgeRect.left, window.innerWidth - dialogRect.width - margin);
+  let top = badgeRect.bottom + margin;
+  if (top + dialogRect.height > window.innerHeight - margin) {
+    top = badgeRect.top - dialogRect.height - margin;
+  }
+
+  container.style.left = `${Math.max(margin, left)}px`;
+  container.style.top = `${Math.max(margin, top)}px`;
+}
+
+/**
+ * Keep focus inside the dialog and close it on Escape
+ * @param {KeyboardEvent} event - Key event
+ */
+function handleDialogKeydown(event) {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    event.stopPropagation();
+    closeReviewDialog(true);
+    return;
+  }
+
+  if (event.key !== 'Tab') return;
+
+  const focusable = Array.from(reviewDialog.container.querySelectorAll('textarea, button'))
+    .filter(element => !element.disabled);
+  if (focusable.length === 0) return;
+
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const active = reviewRoot.activeElement;
+
+  if (event.shiftKey && active === first) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && active === last) {
+    event.preventDefault();
+    first.focus();
+  }
+}
+
+/**
+ * Close the review dialog
+ * @param {boolean} restoreFocus - Return focus to the badge that opened it
+ */
+function closeReviewDialog(restoreFocus) {
+  if (!reviewDialog) return;
+
+  const { container, badge } = reviewDialog;
+  reviewDialog = null;
+  container.remove();
+
+  if (restoreFocus && badge.isConnected) {
+    badge.focus();
+  }
+}
+
+/**
+ * Apply a reviewer's correction and remember it for this image
+ * The edit is also written to the description cache so later visits reuse it.
+ * @param {Element} img - The image element
+ * @param {string} text - Corrected description, '' for decorative
+ */
+function saveReviewEdit(img, text) {
+  const record = tracker.getRecord(img);
+  const digest = record?.digest || null;
+
+  // Decorative images need no long description either
+  const longDescription = text ? record?.longDescription || null : null;
+
+  tracker.recordEdit(img, text, longDescription);
+  acceptedImages.add(img);
+  commitDescription(img, {
+    description: text,
+    longDescription,
+    digest,
+    language: record?.language || getDescriptionLanguage(img)
+  });
+
+  storeCachedDescription(digest, text, longDescription);
+
+  log('info', text ? 'Saved reviewed description' : 'Marked as decorative', getSourceLabel(img));
+}
@@ -0,0 +1,222 @@
+/**
+ * Shortcuts - Carries out the keyboard commands routed by the background script
+ * The background script forwards every commands API shortcut to all frames of the
+ * active tab; the top-level page handles the page-wide commands and the frame that
+ * has keyboard focus handles the ones about a single image. Results are read out
+ * through an aria-live region, so the commands work without looking at the screen.
+ */
+
+function log(level, message, data) {
+  imageAltLog('Shortcuts', level, message, data);
+}
+
+// Innermost element under the pointer, null once the pointer leaves this frame
+let hoveredElement = null;
+
+// Live region host and region (created on first announcement)
+let announcerHost = null;
+let announcerRegion = null;
+
+/**
+ * Read a message out to screen readers
+ * @param {string} message - Text to announce
+ */
+function announce(message) {
+  if (!announcerRegion || !announcerHost.isConnected) {
+    announcerHost = document.createElement('div');
+    announcerHost.setAttribute('data-image-alt-announcer', '');
+
+    const root = announcerHost.attachShadow({ mode: 'closed' });
+    announcerRegion = document.createElement('div');
+    announcerRegion.setAttribute('role', 'status');
+    announcerRegion.setAttribute('aria-live', 'polite');
+    announcerRegion.style.cssText = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;' +
+      'overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;border:0;';
+    root.appendChild(announcerRegion);
+
+    // Kept out of <body> so our own observers skip it
+    document.documentElement.appendChild(announcerHost);
+  }
+
+  // Clear first so the same text is announced again when repeated
+  announcerRegion.textContent = '';
+  setTimeout(() => {
+    announcerRegion.textContent = message;
+  }, 100);
+
+  log('info', `Announced: ${message}`);
+}
+
+/**
+ * Get the focused element, looking into open shadow roots
+ * @returns {Element|null} Focused element
+ */
+function getDeepActiveElement() {
+  let element = document.activeElement;
+  while (element && element.shadowRoot && element.shadowRoot.activeElement) {
+    element = element.shadowRoot.activeElement;
+  }
+  return element;
+}
+
+/**
+ * Check whether keyboard focus is in this frame (not in one of its child frames)
+ * @returns {boolean} True if this frame should handle image commands
+ */
+function hasKeyboardFocus() {
+  const focused = getDeepActiveElement();
+  return document.hasFocus() && !(focused && ['iframe', 'frame'].includes(focused.localName));
+}
+
+/**
+ * Find the image a keyboard command is about: the focused one, or the one under the pointer
+ * A focused element counts if it contains an image (a link around an <img>) or sits on one.
+ * @returns {Element|null} Element with an image source
+ */
+function findKeyboardTarget() {
+  const focused = getDeepActiveElement();
+
+  if (focused && focused !== document.body && focused !== document.documentElement) {
+    const inside = collectImageElements(focused).find(element => getImageSource(element));
+    const target = inside || findDescribableElement(focused);
+    if (target) {
+      return target;
+    }
+  }
+
+  if (hoveredElement && hoveredElement.isConnected && !['iframe', 'frame'].includes(hoveredElement.localName)) {
+    return findDescribableElement(hoveredElement);
+  }
+
+  return null;
+}
+
+/**
+ * Get the text an image currently has: the generated description or the author's
+ * @param {Element} img - The image element
+ * @returns {string|null} Description, '' for decorative images, null if there is none
+ */
+function getCurrentDescription(img) {
+  const record = tracker.getRecord(img);
+  if (record && record.description !== null) {
+    return record.description;
+  }
+
+  if (img.localName === 'img' && img.hasAttribute('alt')) {
+    return img.getAttribute('alt').trim();
+  }
+  return img.getAttribute('aria-label');
+}
+
+/**
+ * Turn automatic processing on or off for the current site
+ * Adds a rule for the top-level page's host in front of the other rules (replacing
+ * an earlier rule for the same host), so it wins over broader patterns.
+ * @returns {Promise<void>}
+ */
+async function toggleCurrentSite() {
+  let host;
+  try {
+    host = new URL(topLevelUrl).host;
+  } catch (error) {
+    host = '';
+  }
+
+  if (!host) {
+    announce('Site rules only apply to web pages');
+    return;
+  }
+
+  const enable = !evaluateUrlRules(topLevelUrl).allowed;
+  const siteRules = getSetting('siteRules').filter(rule => rule.pattern !== host);
+  siteRules.unshift({ pattern: host, value: enable ? 'allow' : 'block' });
+
+  try {
+    await saveSettings({ siteRules });
+  } catch (error) {
+    log('error', 'Could not save the site rule:', error.message);
+    announce(`Could not change the rules for ${host}`);
+    return;
+  }
+
+  const pausedNote = getSetting('paused') ? ', but all sites are paused' : '';
+  announce(`Automatic descriptions ${enable ? 'on' : 'off'} for ${host}${pausedNote}`);
+}
+
+/**
+ * Carry out a keyboard command
+ * @param {string} command - Command name from manifest.json
+ * @returns {Promise<{success: boolean}>} Whether this frame handled it
+ */
+async function runShortcutCommand(command) {
+  switch (command) {
+    case 'process-page': {
+      const { success, error } = rescanPage();
+      if (!isSubframe) {
+        announce(success ? 'Describing the images on this page' : error);
+      }
+      return { success };
+    }
+
+    case 'toggle-site':
+      // Frames follow the top-level page's rules and get the change through the settings
+      if (isSubframe) {
+        return { success: false };
+      }
+      await toggleCurrentSite();
+      return { success: true };
+
+    case 'describe-image': {
+      if (!hasKeyboardFocus()) {
+        return { success: false };
+      }
+
+      const img = findKeyboardTarget();
+      if (!img) {
+        announce('No image at the focus or under the pointer');
+        return { success: false };
+      }
+
+      const result = await describeInPopover(img);
+      if (result) {
+        announce(result.description === '' ? 'The image looks decorative' : result.description);
+      }
+      return { success: result !== null };
+    }
+
+    case 'announce-description': {
+      if (!hasKeyboardFocus()) {
+        return { success: false };
+      }
+
+      const img = findKeyboardTarget();
+      if (!img) {
+        announce('No image at the focus or under the pointer');
+        return { success: false };
+      }
+
+      const description = getCurrentDescription(img);
+      if (description === null) {
+        announce('This image has no description yet');
+      } else {
+        announce(description === '' ? 'Decorative image' : `Image: ${description}`);
+      }
+      return { success: true };
+    }
+
+    default:
+      log('warn', `Unknown command: ${command}`);
+      return { success: false };
+  }
+}
+
+// Remember what is under the pointer for the image commands
+document.addEventListener('pointerover', (event) => {
+  hoveredElement = event.composedPath()[0] || event.target;
+}, { capture: true, passive: true });
+
+document.addEventListener('pointerout', (event) => {
+  if (!event.relatedTarget) {
+    hoveredElement = null;
+  }
+}, { capture: true, passive: true });
@@ -1,135 +1,256 @@
 /**
  * State Manager - Tracks processed images to avoid duplicate API calls
- * Uses WeakMap for automatic garbage collection and hash-based Set for persistence
+ * Per-element records live in WeakMaps and a Set of source keys survives DOM changes.
+ * The elements we modified or inserted are listed through weak references, so
+ * revertAll() finds them even after the page detached and re-inserted them, while
+ * elements the page dropped for good are still garbage collected.
  */
 
 function log(level, message, data) {
   imageAltLog('StateManager', level, message, data);
 }
 
+/**
+ * Set of elements that does not keep them alive
+ * Iteration skips elements that were garbage collected; their entries are removed
+ * once the collector reports them.
+ */
+class WeakElementSet {
+  constructor() {
+    this.refs = new Set();
+    this.members = new WeakSet();
+    this.registry = new FinalizationRegistry(ref => this.refs.delete(ref));
+  }
+
+  /**
+   * Add an element (once)
+   * @param {Element} element - Element to add
+   */
+  add(element) {
+    if (this.members.has(element)) return;
+
+    const ref = new WeakRef(element);
+    this.members.add(element);
+    this.refs.add(ref);
+    this.registry.register(element, ref, ref);
+  }
+
+  /**
+   * Remove every element
+   */
+  clear() {
+    this.refs.forEach(ref => this.registry.unregister(ref));
+    this.refs.clear();
+    this.members = new WeakSet();
+  }
+
+  /**
+   * Number of elements still alive
+   * @returns {number} Count
+   */
+  get size() {
+    return Array.from(this).length;
+  }
+
+  *[Symbol.iterator]() {
+    for (const ref of this.refs) {
+      const element = ref.deref();
+      if (element) {
+        yield element;
+      }
+    }
+  }
+}
+
 class ProcessedImageTracker {
   constructor() {
     // WeakMap for tracking DOM elements (auto garbage collection)
     this.processedImages = new WeakMap();
 
-    // Set for hash-based tracking (persists across DOM changes)
-    this.processedHashes = new Set();
+    // Source keys of processed images (persists across DOM changes)
+    this.processedKeys = new Set();
 
-    // Track currently processing images to avoid duplicates
+    // Source keys of images being processed, to avoid duplicates
     this.inFlight = new Set();
 
-    log('info', 'ProcessedImageTracker initialized');
-  }
+    // Original attribute values of every element we modified, for revertAll()
+    // element -> Map(attribute name -> original value, null if it was absent)
+    this.originals = new WeakMap();
 
-  /**
-   * Generate a hash for an image based on its URL and dimensions
-   * @param {HTMLImageElement} img - The image element
-   * @returns {string} Hash string
-   */
-  getImageHash(img) {
-    const key = `${img.src}_${img.naturalWidth}x${img.naturalHeight}`;
-    return this.simpleHash(key);
+    // Keys of originals, so revertAll() can walk them
+    this.modifiedElements = new WeakElementSet();
+
+    // Elements we inserted into the page (e.g. hidden labels), removed on revert
+    this.injectedElements = new WeakElementSet();
+
+    // Elements that received a description (for the review overlay)
+    this.describedElements = new WeakElementSet();
+
+    // Reviewer corrections keyed by source key, reused when the same image appears again
+    this.edits = new Map();
+
+    // Why the last attempt for an element failed: element -> {type, message, timestamp}
+    this.failures = new WeakMap();
+
+    // Failed attempts per cause (ERROR_TYPES in utils/errors.js)
+    this.failureCounts = Object.fromEntries(ERROR_TYPES.map(type => [type, 0]));
+
+    // How long the last attempt took: element -> {startedAt, durationMs (null while running)}
+    this.timings = new WeakMap();
+
+    log('info', 'ProcessedImageTracker initialized');
   }
 
   /**
-   * Simple string hash function
-   * @param {string} str - String to hash
-   * @returns {string} Hash as base36 string
+   * Get the key identifying an image: its source URL and dimensions
+   * (markup for inline <svg>, element identity for <canvas>)
+   * The key is used as is rather than hashed, so two images never share one.
+   * @param {Element} img - The image element
+   * @returns {string} Source key
    */
-  simpleHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return hash.toString(36);
+  getImageKey(img) {
+    return getSourceKey(img);
   }
 
   /**
    * Check if an image has already been processed
-   * @param {HTMLImageElement} img - The image element
+   * @param {Element} img - The image element
    * @returns {boolean} True if already processed
    */
   isProcessed(img) {
-    // Check WeakMap first (fastest)
+    // Check WeakMap first (fastest); a changed attribute means the page touched it since
     if (this.processedImages.has(img)) {
-      return true;
-    }
-
-    // Check hash set (for re-added elements)
-    const hash = this.getImageHash(img);
-    if (this.processedHashes.has(hash)) {
-      return true;
+      return !this.shouldReprocess(img);
     }
 
-    return false;
+    // Check the source keys (for re-added elements)
+    return this.processedKeys.has(this.getImageKey(img));
   }
 
   /**
    * Check if an image is currently being processed
-   * @param {HTMLImageElement} img - The image element
+   * @param {Element} img - The image element
    * @returns {boolean} True if currently in flight
    */
   isInFlight(img) {
-    const hash = this.getImageHash(img);
-    return this.inFlight.has(hash);
+    return this.inFlight.has(this.getImageKey(img));
   }
 
   /**
    * Mark an image as currently being processed
-   * @param {HTMLImageElement} img - The image element
+   * @param {Element} img - The image element
    */
   markInFlight(img) {
-    const hash = this.getImageHash(img);
-    this.inFlight.add(hash);
-    log('debug', `Marked as in-flight:`, hash);
+    this.inFlight.add(this.getImageKey(img));
+    this.timings.set(img, { startedAt: Date.now(), durationMs: null });
+    log('debug', `Marked as in-flight:`, getSourceLabel(img));
   }
 
   /**
    * Remove an image from the in-flight set
-   * @param {HTMLImageElement} img - The image element
+   * @param {Element} img - The image element
    */
   clearInFlight(img) {
-    const hash = this.getImageHash(img);
-    this.inFlight.delete(hash);
-    log('debug', `Cleared from in-flight:`, hash);
+    this.inFlight.delete(this.getImageKey(img));
+    log('debug', `Cleared from in-flight:`, getSourceLabel(img));
   }
 
   /**
    * Mark an image as processed
-   * @param {HTMLImageElement} img - The image element
-   * @param {string} description - The description that was set
+   * @param {Element} img - The image element
+   * @param {string|null} description - The description from the API (null if none was requested)
+   * @param {{attribute: string, value: string, target: Element}|null} written - What applyDescription() wrote, or null if it kept the author's alt
+   * @param {{digest?: string|null, language?: string, longDescription?: string|null}} details - Cache key, language and long description
    */
-  markProcessed(img, description) {
+  markProcessed(img, description, written = null, { digest = null, language = null, longDescription = null } = {}) {
+    // Remember the attribute value we left behind so later changes can be detected
+    const attribute = written ? written.attribute : getLabelAttribute(img);
+    const target = written ? written.target : img;
+    const value = target.getAttribute(attribute);
+
     // Store in WeakMap
     this.processedImages.set(img, {
       description,
+      attribute,
+      target,
+      value,
+      digest,
+      language,
+      longDescription,
       timestamp: Date.now()
     });
 
-    // Store hash for persistence
-    const hash = this.getImageHash(img);
-    this.processedHashes.add(hash);
+    if (description !== null) {
+      this.describedElements.add(img);
+    }
+
+    // Store the source key for persistence
+    this.processedKeys.add(this.getImageKey(img));
 
     // Remove from in-flight
     this.clearInFlight(img);
+    this.failures.delete(img);
+    this.finishTiming(img);
 
-    log('info', `Marked as processed (${hash}):`, img.src.substring(0, 50));
+    log('info', 'Marked as processed:', getSourceLabel(img));
+  }
+
+  /**
+   * Record why an image could not be described
+   * The image stays unprocessed, so a re-scan tries it again.
+   * @param {Element} img - The image element
+   * @param {Error} error - Error the attempt failed with
+   */
+  markFailed(img, error) {
+    const type = getErrorType(error);
+
+    this.failures.set(img, { type, message: error.message, timestamp: Date.now() });
+    this.failureCounts[type]++;
+    this.clearInFlight(img);
+    this.finishTiming(img);
+  }
+
+  /**
+   * Record when the running attempt for an image ended
+   * @param {Element} img - The image element
+   */
+  finishTiming(img) {
+    const timing = this.timings.get(img);
+    if (timing && timing.durationMs === null) {
+      timing.durationMs = Date.now() - timing.startedAt;
+    }
+  }
+
+  /**
+   * Get when the last attempt for an image started and how long it took
+   * @param {Element} img - The image element
+   * @returns {{startedAt: number, durationMs: number|null}|undefined} Timing, if the image was ever sent
+   */
+  getTiming(img) {
+    return this.timings.get(img);
+  }
+
+  /**
+   * Get why the last attempt for an image failed
+   * @param {Element} img - The image element
+   * @returns {{type: string, message: string, timestamp: number}|undefined} Failure, if the last attempt failed
+   */
+  getFailure(img) {
+    return this.failures.get(img);
   }
 
   /**
    * Check if an image should be reprocessed
-   * Useful if user manually changes alt text
-   * @param {HTMLImageElement} img - The image element
+   * Useful if the page or user changes the attribute after we processed it
+   * @param {Element} img - The image element
    * @returns {boolean} True if should reprocess
    */
   shouldReprocess(img) {
     const data = this.processedImages.get(img);
     if (!data) return true;
 
-    // Check if alt text still matches what we set
-    return img.alt !== data.description;
+    // Check if the attribute still holds what we left there
+    return !data.target.isConnected || data.target.getAttribute(data.attribute) !== data.value;
   }
 
   /**
@@ -138,16 +259,140 @@ class ProcessedImageTracker {
    */
   getStats() {
     return {
-      processedCount: this.processedHashes.size,
-      inFlightCount: this.inFlight.size
+      processedCount: this.processedKeys.size,
+      inFlightCount: this.inFlight.size,
+      modifiedCount: this.modifiedElements.size,
+      failedCount: Object.values(this.failureCounts).reduce((sum, count) => sum + count, 0),
+      failuresByType: { ...this.failureCounts }
     };
   }
 
+  /**
+   * Get what was recorded for a processed image
+   * @param {Element} img - The image element
+   * @returns {object|undefined} Record with description, longDescription, attribute, value, digest, language
+   */
+  getRecord(img) {
+    return this.processedImages.get(img);
+  }
+
+  /**
+   * Get all elements that currently carry a generated description
+   * @returns {Element[]} Connected described elements
+   */
+  getDescribedElements() {
+    return Array.from(this.describedElements).filter(element => element.isConnected);
+  }
+
+  /**
+   * Store a reviewer's correction for an image
+   * @param {Element} img - The image element
+   * @param {string} text - Corrected description, '' for decorative
+   * @param {string|null} longDescription - Long description kept with the correction
+   */
+  recordEdit(img, text, longDescription = null) {
+    this.edits.set(this.getImageKey(img), { description: text, longDescription });
+  }
+
+  /**
+   * Get a reviewer's correction for an image (or an identical one on this page)
+   * @param {Element} img - The image element
+   * @returns {{description: string, longDescription: string|null}|null} Correction, or null if none
+   */
+  getEdit(img) {
+    const key = this.getImageKey(img);
+    return this.edits.has(key) ? this.edits.get(key) : null;
+  }
+
+  /**
+   * Forget a reviewer's correction (e.g. after regenerating)
+   * @param {Element} img - The image element
+   */
+  clearEdit(img) {
+    this.edits.delete(this.getImageKey(img));
+  }
+
+  /**
+   * Record an element's original attribute values before they are changed
+   * Only the first call per attribute counts, so repeated writes keep the author's value
+   * @param {Element} element - Element about to be modified
+   * @param {string[]} attributes - Attribute names about to be written
+   */
+  rememberOriginal(element, attributes) {
+    if (!this.originals.has(element)) {
+      this.originals.set(element, new Map());
+      this.modifiedElements.add(element);
+    }
+
+    const original = this.originals.get(element);
+    for (const attribute of attributes) {
+      if (!original.has(attribute)) {
+        original.set(attribute, element.getAttribute(attribute));
+      }
+    }
+  }
+
+  /**
+   * Record an element inserted into the page so revertAll() can remove it
+   * @param {Element} element - Inserted element
+   */
+  rememberInjected(element) {
+    this.injectedElements.add(element);
+  }
+
+  /**
+   * Get the original value of an attribute before we changed it
+   * @param {Element} element - The element
+   * @param {string} attribute - Attribute name
+   * @returns {string|null} Original value (null if absent), or the current value if unchanged
+   */
+  getOriginal(element, attribute) {
+    const original = this.originals.get(element);
+    if (original && original.has(attribute)) {
+      return original.get(attribute);
+    }
+    return element.getAttribute(attribute);
+  }
+
+  /**
+   * Restore every modified attribute and remove inserted elements
+   * Tracking data is reset so the images can be processed again later
+   * @returns {number} Number of restored elements
+   */
+  revertAll() {
+    let restored = 0;
+
+    for (const element of this.modifiedElements) {
+      for (const [attribute, value] of this.originals.get(element)) {
+        if (value === null) {
+          element.removeAttribute(attribute);
+        } else {
+          element.setAttribute(attribute, value);
+        }
+      }
+      restored++;
+    }
+
+    for (const element of this.injectedElements) {
+      element.remove();
+    }
+
+    this.originals = new WeakMap();
+    this.modifiedElements.clear();
+    this.injectedElements.clear();
+    this.describedElements.clear();
+    this.processedImages = new WeakMap();
+    this.processedKeys.clear();
+
+    log('info', `Reverted ${restored} elements`);
+    return restored;
+  }
+
   /**
    * Clear all tracking data (for testing/debugging)
    */
   clear() {
-    this.processedHashes.clear();
+    this.processedKeys.clear();
     this.inFlight.clear();
     log('warn', 'All tracking data cleared');
   }
@@ -0,0 +1,203 @@
+/**
+ * Options Page - Edits the settings defined in utils/settings.js
+ * Form fields are bound to settings by their `name` attribute
+ */
+
+const form = document.getElementById('settings-form');
+const statusElement = document.getElementById('status');
+
+/**
+ * Show a status message next to the form buttons
+ * @param {string} message - Message text
+ * @param {boolean} isError - Whether to style as an error
+ */
+function showStatus(message, isError = false) {
+  statusElement.textContent = message;
+  statusElement.classList.toggle('error', isError);
+}
+
+/**
+ * Write a setting value into its form field
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} input - Form field
+ * @param {*} value - Setting value
+ */
+function writeField(input, value) {
+  if (input.type === 'checkbox') {
+    input.checked = Boolean(value);
+  } else if (SETTINGS_SCHEMA[input.name].type === 'siteMap') {
+    input.value = formatSiteMap(value);
+  } else if (SETTINGS_SCHEMA[input.name].type === 'apiProfiles') {
+    input.value = formatApiProfiles(value);
+  } else {
+    input.value = value;
+  }
+}
+
+/**
+ * Read a raw setting value from its form field
+ * Values are validated by saveSettings(), so strings are returned as-is
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} input - Form field
+ * @returns {*} Raw value
+ */
+function readField(input) {
+  if (input.type === 'checkbox') {
+    return input.checked;
+  }
+  return input.value;
+}
+
+/**
+ * Get all form fields bound to known settings
+ * @returns {HTMLInputElement[]} Form fields
+ */
+function getSettingFields() {
+  return Array.from(form.elements).filter(element => {
+    return element.name && Object.prototype.hasOwnProperty.call(SETTINGS_SCHEMA, element.name);
+  });
+}
+
+/**
+ * Remove all validation messages from the form
+ */
+function clearErrors() {
+  form.querySelectorAll('.field-error').forEach(element => element.remove());
+  form.querySelectorAll('.invalid').forEach(element => element.classList.remove('invalid'));
+}
+
+/**
+ * Show validation messages below the offending fields
+ * @param {object} errors - Map of setting name to message
+ */
+function showErrors(errors) {
+  for (const [key, message] of Object.entries(errors)) {
+    const input = form.elements.namedItem(key);
+    if (!input) continue;
+
+    const label = input.closest('label');
+    label.classList.add('invalid');
+
+    const errorElement = document.createElement('div');
+    errorElement.className = 'field-error';
+    errorElement.textContent = message;
+    label.after(errorElement);
+  }
+}
+
+/**
+ * Fill the form from settings
+ * @param {object} settings - Settings to display
+ */
+function populateForm(settings) {
+  for (const input of getSettingFields()) {
+    writeField(input, settings[input.name]);
+  }
+  updateProfileSuggestions();
+}
+
+/**
+ * Offer the profile names from the profiles field as suggestions for the active profile
+ */
+function updateProfileSuggestions() {
+  const { profiles } = parseApiProfiles(form.elements.namedItem('apiProfiles').value);
+  const names = [DEFAULT_API_PROFILE, ...profiles.map(profile => profile.name)];
+
+  document.getElementById('api-profile-names').replaceChildren(...names.map(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    return option;
+  }));
+}
+
+/**
+ * Save the form contents
+ * @param {Event} event - Submit event
+ */
+async function handleSubmit(event) {
+  event.preventDefault();
+  clearErrors();
+
+  const values = {};
+  for (const input of getSettingFields()) {
+    values[input.name] = readField(input);
+  }
+
+  try {
+    const saved = await saveSettings(values);
+    populateForm(saved);
+    showStatus('Settings saved');
+  } catch (error) {
+    if (error.errors) {
+      showErrors(error.errors);
+      showStatus('Please fix the highlighted fields', true);
+    } else {
+      showStatus(`Could not save settings: ${error.message}`, true);
+    }
+  }
+}
+
+/**
+ * Restore every setting to its default value
+ */
+async function handleReset() {
+  clearErrors();
+
+  try {
+    const defaults = await resetSettings();
+    populateForm(defaults);
+    showStatus('Defaults restored');
+  } catch (error) {
+    showStatus(`Could not reset settings: ${error.message}`, true);
+  }
+}
+
+/**
+ * Show how many descriptions are cached
+ */
+async function refreshCacheInfo() {
+  try {
+    const response = await browser.runtime.sendMessage({ type: 'GET_STATS' });
+    if (response && response.success) {
+      document.getElementById('cache-info').textContent = `${response.stats.cache.entries} cached`;
+    }
+  } catch (error) {
+    document.getElementById('cache-info').textContent = '';
+  }
+}
+
+/**
+ * Remove all cached descriptions
+ */
+async function handleClearCache() {
+  try {
+    const response = await browser.runtime.sendMessage({ type: 'CLEAR_CACHE' });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response');
+    }
+    showStatus('Cache cleared');
+  } catch (error) {
+    showStatus(`Could not clear cache: ${error.message}`, true);
+  }
+
+  refreshCacheInfo();
+}
+
+/**
+ * Initialize the options page
+ */
+async function initialize() {
+  try {
+    const settings = await loadSettings();
+    populateForm(settings);
+  } catch (error) {
+    showStatus(`Could not load settings: ${error.message}`, true);
+  }
+
+  form.addEventListener('submit', handleSubmit);
+  form.elements.namedItem('apiProfiles').addEventListener('input', updateProfileSuggestions);
+  document.getElementById('reset-button').addEventListener('click', handleReset);
+  document.getElementById('clear-cache-button').addEventListener('click', handleClearCache);
+
+  refreshCacheInfo();
+}
+
+initialize();
@@ -0,0 +1,214 @@
+/**
+ * Toolbar Popup - Shows per-tab and total statistics and controls the active tab
+ */
+
+// Configuration
+const REFRESH_INTERVAL_MS = 1000;
+
+let activeTabId = null;
+let tabPaused = false;
+
+/**
+ * Fill a statistics list from a stats object
+ * @param {HTMLElement} list - <dl> with [data-stat] cells
+ * @param {object|null} stats - Statistics, or null to show placeholders
+ */
+function renderStats(list, stats) {
+  list.querySelectorAll('[data-stat]').forEach(cell => {
+    const value = stats ? stats[cell.dataset.stat] : undefined;
+    cell.textContent = value === undefined ? '–' : String(value);
+  });
+}
+
+/**
+ * Show the endpoint, the circuit breaker state and the outcome of the most recent request
+ * @param {object|null} api - API status from the background script
+ */
+function renderAPIStatus(api) {
+  const indicator = document.getElementById('api-indicator');
+  const text = document.getElementById('api-status-text');
+
+  indicator.className = 'indicator unknown';
+  document.getElementById('api-endpoint').textContent = api ? `${api.profile}: ${api.endpoint}` : '';
+
+  if (api && api.circuit.state === 'open') {
+    indicator.className = 'indicator error';
+    text.textContent = `API unavailable, retrying at ${new Date(api.circuit.retryAt).toLocaleTimeString()}`;
+    return;
+  }
+  if (api && api.circuit.state === 'half-open') {
+    indicator.className = 'indicator warning';
+    text.textContent = 'API recovering, sending a trial request';
+    return;
+  }
+
+  if (!api || (!api.lastSuccessAt && !api.lastErrorAt)) {
+    // No request yet: the health check may know more
+    if (api && api.health.healthy !== null) {
+      indicator.className = api.health.healthy ? 'indicator ok' : 'indicator error';
+      text.textContent = api.health.healthy ? 'API reachable' : 'API health check failed';
+    } else {
+      text.textContent = 'API status unknown';
+    }
+    return;
+  }
+
+  if ((api.lastSuccessAt || 0) >= (api.lastErrorAt || 0)) {
+    indicator.className = 'indicator ok';
+    text.textContent = 'API responding';
+  } else {
+    indicator.className = 'indicator error';
+    text.textContent = `API error: ${api.lastError}`;
+  }
+}
+
+/**
+ * Show statistics for the active tab
+ * @param {object|null} stats - Tab statistics, or null if the content script is not running
+ */
+function renderTabStats(stats) {
+  const available = stats !== null;
+
+  document.getElementById('tab-unavailable').hidden = available;
+  renderStats(document.getElementById('tab-stats'), stats);
+
+  // Causes are only listed once something failed
+  const failures = available ? stats.failures : null;
+  const failureList = document.getElementById('failure-stats');
+  failureList.hidden = !failures || Object.values(failures).every(count => count === 0);
+  renderStats(failureList, failures);
+
+  document.querySelectorAll('.controls button').forEach(button => {
+    button.disabled = !available;
+  });
+
+  const siteStatus = document.getElementById('site-status');
+  siteStatus.hidden = !available || stats.site.allowed;
+  siteStatus.textContent = available ? `Processing disabled on this page (${stats.site.reason})` : '';
+
+  tabPaused = available && stats.paused;
+  document.getElementById('pause-button').textContent = tabPaused ? 'Resume' : 'Pause';
+}
+
+/**
+ * Fill the server profile selector from the settings
+ */
+function renderProfiles() {
+  const select = document.getElementById('profile-select');
+
+  select.replaceChildren(...getApiProfiles().map(profile => {
+    const option = document.createElement('option');
+    option.value = profile.name;
+    option.textContent = `${profile.name} (${getApiProvider(profile.provider).label})`;
+    return option;
+  }));
+  select.value = getActiveApiProfile().name;
+}
+
+/**
+ * Send a message to the active tab's content script
+ * @param {object} message - Message to send
+ * @returns {Promise<object|null>} Response, or null if no content script answered
+ */
+async function sendToTab(message) {
+  if (activeTabId === null) {
+    return null;
+  }
+
+  try {
+    const response = await browser.tabs.sendMessage(activeTabId, message);
+    return response && response.success ? response : null;
+  } catch (error) {
+    // No content script on this page (about:, addons store, etc.)
+    return null;
+  }
+}
+
+/**
+ * Refresh statistics for the active tab and the totals
+ */
+async function refresh() {
+  try {
+    // Tab statistics include every frame of the tab
+    const response = await browser.runtime.sendMessage({ type: 'GET_STATS', tabId: activeTabId });
+    if (response && response.success) {
+      renderTabStats(response.stats.tab);
+      renderAPIStatus(response.stats.api);
+      document.getElementById('tab-count').textContent = String(response.stats.tabs);
+      renderStats(document.getElementById('total-stats'), response.stats.totals);
+      renderStats(document.getElementById('cache-stats'), response.stats.cache);
+    }
+  } catch (error) {
+    console.error('[ImageAlt:Popup] Could not load statistics:', error);
+  }
+}
+
+/**
+ * Initialize the popup
+ */
+async function initialize() {
+  const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+  activeTabId = tab ? tab.id : null;
+
+  document.getElementById('rescan-button').addEventListener('click', async () => {
+    await sendToTab({ type: 'RESCAN_PAGE' });
+    refresh();
+  });
+
+  document.getElementById('pause-button').addEventListener('click', async () => {
+    await sendToTab({ type: 'SET_PAUSED', paused: !tabPaused });
+    refresh();
+  });
+
+  document.getElementById('clear-button').addEventListener('click', async () => {
+    await sendToTab({ type: 'CLEAR_QUEUE' });
+    refresh();
+  });
+
+  document.getElementById('revert-button').addEventListener('click', async () => {
+    await sendToTab({ type: 'REVERT_PAGE' });
+    refresh();
+  });
+
+  document.getElementById('report-button').addEventListener('click', async () => {
+    const status = document.getElementById('report-status');
+    status.textContent = 'Building report…';
+
+    try {
+      const response = await browser.runtime.sendMessage({
+        type: 'EXPORT_REPORT',
+        tabId: activeTabId,
+        format: document.getElementById('report-format').value
+      });
+      status.textContent = response && response.success
+        ? `Saved ${response.count} images to ${response.filename}`
+        : `Export failed: ${response?.error || 'no response'}`;
+    } catch (error) {
+      status.textContent = `Export failed: ${error.message}`;
+    }
+  });
+
+  const globalPause = document.getElementById('global-pause');
+  globalPause.checked = (await loadSettings()).paused;
+  globalPause.addEventListener('change', async () => {
+    await saveSettings({ paused: globalPause.checked });
+    refresh();
+  });
+
+  const profileSelect = document.getElementById('profile-select');
+  renderProfiles();
+  profileSelect.addEventListener('change', async () => {
+    await saveSettings({ activeApiProfile: profileSelect.value });
+    refresh();
+  });
+
+  document.getElementById('options-button').addEventListener('click', () => {
+    browser.runtime.openOptionsPage();
+    window.close();
+  });
+
+  await refresh();
+  setInterval(refresh, REFRESH_INTERVAL_MS);
+}
+
+initialize();
@@ -1,228 +1,291 @@
 /**
- * API Client - Handles communication with the image analysis API
- * Includes retry logic, rate limiting, and queue management
+ * API Client - Submits images to the background's request scheduler
+ * The queue, retries and the API calls themselves live in background/requestScheduler.js
+ * and are shared by all tabs; this side tracks its own jobs for statistics and
+ * relays streamed partial descriptions.
  */
 
-// Configuration
-const API_ENDPOINT = 'http://localhost:8000/analyze';
-const MAX_CONCURRENT_REQUESTS = 3;
-const BATCH_DELAY_MS = 500;
-const MAX_RETRIES = 3;
-const REQUEST_TIMEOUT_MS = 30000;
-
 function log(level, message, data) {
   imageAltLog('APIClient', level, message, data);
 }
 
+// Jobs submitted by this frame: job ID -> {started, element, priority, onProgress, reject}
+const pendingJobs = new Map();
+
+let nextJobId = 1;
+
+// Whether this frame's images are held back in the background queue
+let queuePaused = false;
+
+const jobStats = {
+  total: 0,
+  success: 0,
+  failed: 0
+};
+
 /**
- * Sleep for specified milliseconds
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
+ * Process an image through the API (queued in the background)
+ * @param {Blob} image - Encoded image from convertImageToBlob()
+ * @param {object} details - Extra request fields
+ * @param {string} [details.language] - Language tag the description should be written in
+ * @param {object} [details.context] - Page context fields from collectImageContext()
+ * @param {boolean} [details.longDescription] - Ask for a long description of complex images
+ * @param {boolean} [details.stream] - Ask the server to stream its answer
+ * @param {Function} [details.onProgress] - Called with partial text while a streamed answer arrives
+ * @param {Element} [details.element] - Element the image belongs to, for setImagePriority()
+ * @param {number} [details.priority] - How urgent the image is, lower is sent first
+ * @param {AbortSignal} [details.signal] - Drops the queued request or aborts the running one
+ * @param {boolean} [details.ignorePause] - Send even while this frame's queue is paused
+ * @returns {Promise<{description: string, longDescription: string|null}>} Result from API
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function processImage(image, details = {}) {
+  const { onProgress, element = null, priority, signal, ignorePause = false, ...fields } = details;
+  const jobId = String(nextJobId++);
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Request aborted', 'AbortError'));
+      return;
+    }
+
+    pendingJobs.set(jobId, { started: false, element, priority, onProgress, reject });
+    jobStats.total++;
+
+    signal?.addEventListener('abort', () => cancelJob(jobId), { once: true });
+
+    browser.runtime.sendMessage({ type: 'DESCRIBE_IMAGE', jobId, priority, ignorePause, request: { image, ...fields } })
+      .then(response => {
+        // Already settled by clearQueue()
+        if (!pendingJobs.delete(jobId)) return;
+
+        if (response && response.success) {
+          jobStats.success++;
+          resolve({ description: response.description, longDescription: response.longDescription || null });
+          return;
+        }
+
+        // Cancelled in the background (the frame navigated or unloaded): not a failure
+        const error = deserializeError(response, 'Request failed');
+        if (error.name !== 'AbortError') {
+          jobStats.failed++;
+        }
+        reject(error);
+      }, error => {
+        if (!pendingJobs.delete(jobId)) return;
+
+        jobStats.failed++;
+        reject(error);
+      });
+  });
 }
 
 /**
- * Queue manager for controlling concurrent requests
+ * Stop waiting for one job and tell the background scheduler to drop it
+ * @param {string} jobId - Job ID
  */
-class RequestQueue {
-  constructor(concurrency = MAX_CONCURRENT_REQUESTS, delayMs = BATCH_DELAY_MS) {
-    this.concurrency = concurrency;
-    this.delayMs = delayMs;
-    this.queue = [];
-    this.active = 0;
-    this.stats = {
-      total: 0,
-      success: 0,
-      failed: 0
-    };
-  }
+function cancelJob(jobId) {
+  const job = pendingJobs.get(jobId);
+  if (!job) return;
+
+  pendingJobs.delete(jobId);
+  job.reject(new DOMException('Request aborted', 'AbortError'));
 
-  /**
-   * Add a task to the queue
-   * @param {Function} task - Async function to execute
-   * @returns {Promise} Result of the task
-   */
-  async add(task) {
-    return new Promise((resolve, reject) => {
-      this.queue.push({ task, resolve, reject });
-      this.stats.total++;
-      this.process();
+  browser.runtime.sendMessage({ type: 'CANCEL_JOBS', jobIds: [jobId] }).catch(error => {
+    log('debug', 'Could not cancel request:', error.message);
+  });
+}
+
+/**
+ * Move the pending request of an element up or down the background queue
+ * @param {Element} element - Element passed to processImage()
+ * @param {number} priority - New priority, lower is sent first
+ */
+function setImagePriority(element, priority) {
+  for (const [jobId, job] of pendingJobs) {
+    if (job.element !== element || job.started || job.priority === priority) continue;
+
+    job.priority = priority;
+    browser.runtime.sendMessage({ type: 'SET_JOB_PRIORITY', jobId, priority }).catch(error => {
+      log('debug', 'Could not change request priority:', error.message);
     });
   }
+}
 
-  /**
-   * Process the queue
-   */
-  async process() {
-    if (this.active >= this.concurrency || this.queue.length === 0) {
-      return;
-    }
+/**
+ * Handle job updates from the background scheduler
+ * @param {object} message - DESCRIPTION_PROGRESS message
+ * @returns {undefined} Never answers, so other listeners still can
+ */
+function handleJobProgress(message) {
+  if (message.type !== 'DESCRIPTION_PROGRESS') return undefined;
 
-    this.active++;
-    const { task, resolve, reject } = this.queue.shift();
-
-    try {
-      const result = await task();
-      this.stats.success++;
-      resolve(result);
-    } catch (error) {
-      this.stats.failed++;
-      reject(error);
-    } finally {
-      this.active--;
-
-      // Delay before processing next batch
-      if (this.queue.length > 0) {
-        await sleep(this.delayMs);
-      }
+  const job = pendingJobs.get(message.jobId);
+  if (!job) return undefined;
 
-      this.process();
-    }
+  // started is false again when a job is parked while the server is down
+  if (typeof message.started === 'boolean') {
+    job.started = message.started;
   }
-
-  /**
-   * Get queue statistics
-   * @returns {object} Statistics
-   */
-  getStats() {
-    return {
-      ...this.stats,
-      queued: this.queue.length,
-      active: this.active
-    };
+  if (typeof message.description === 'string' && job.onProgress) {
+    job.onProgress(message.description);
   }
 
-  /**
-   * Clear the queue
-   */
-  clear() {
-    this.queue = [];
-    log('warn', 'Queue cleared');
-  }
+  return undefined;
 }
 
-// Create global queue instance
-const requestQueue = new RequestQueue();
+browser.runtime.onMessage.addListener(handleJobProgress);
 
 /**
- * Send image to API with timeout
- * @param {FormData} formData - Form data with image
- * @param {number} timeout - Timeout in milliseconds
- * @returns {Promise<object>} API response
+ * Look up a description in the background's persistent cache
+ * If another frame or tab is already describing the same image, the background
+ * waits for that result instead of reporting a miss.
+ * Cache failures are logged and treated as a miss
+ * @param {Blob} image - Encoded image from convertImageToBlob()
+ * @param {string} [language] - Description language (part of the cache key)
+ * @param {boolean} [longDescription] - Whether a long description is wanted (part of the cache key)
+ * @returns {Promise<{digest: string|null, description: string|null, longDescription: string|null}>} Cache key and cached descriptions
  */
-async function sendWithTimeout(formData, timeout = REQUEST_TIMEOUT_MS) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-
+async function lookupCachedDescription(image, language, longDescription = false) {
   try {
-    const response = await fetch(API_ENDPOINT, {
-      method: 'POST',
-      body: formData,
-      signal: controller.signal
-    });
+    const response = await browser.runtime.sendMessage({ type: 'CACHE_LOOKUP', image, language, longDescription });
 
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      throw new Error(`API returned ${response.status}: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-
-    if (!data || typeof data.description !== 'string') {
-      throw new Error('Invalid API response format');
+    if (response && response.success) {
+      if (response.description !== null) {
+        log('debug', `Cache hit: ${response.digest.substring(0, 12)}`);
+      }
+      return {
+        digest: response.digest,
+        description: response.description,
+        longDescription: response.longDescription || null
+      };
     }
 
-    return data;
+    log('warn', 'Cache lookup failed:', response?.error);
   } catch (error) {
-    clearTimeout(timeoutId);
-
-    if (error.name === 'AbortError') {
-      throw new Error('Request timeout');
-    }
-
-    throw error;
+    log('warn', 'Cache lookup failed:', error.message);
   }
+
+  return { digest: null, description: null, longDescription: null };
 }
 
 /**
- * Send image to API with retry logic
- * @param {string} base64 - Base64 encoded image
- * @param {number} maxRetries - Maximum number of retries
- * @returns {Promise<string>} Description from API
+ * Get the cache key of an image without looking it up or claiming it
+ * Used when a new description is wanted anyway, so it can replace the cached one.
+ * @param {Blob} image - Encoded image from convertImageToBlob()
+ * @param {string} [language] - Description language (part of the cache key)
+ * @param {boolean} [longDescription] - Whether a long description is wanted (part of the cache key)
+ * @returns {Promise<string|null>} Cache key, or null if the background could not compute it
  */
-async function sendImageToAPI(base64, maxRetries = MAX_RETRIES) {
-  let lastError;
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      log('debug', `API request attempt ${attempt}/${maxRetries}`);
-
-      // Convert base64 to blob
-      const blob = base64ToBlob(base64);
-
-      // Create FormData
-      const formData = new FormData();
-      formData.append('image', blob, 'image.jpg');
-
-      // Send request with timeout
-      const data = await sendWithTimeout(formData);
+async function getCachedDescriptionDigest(image, language, longDescription = false) {
+  try {
+    const response = await browser.runtime.sendMessage({ type: 'CACHE_DIGEST', image, language, longDescription });
 
-      log('info', `API success: ${data.description.substring(0, 50)}...`);
-      return data.description;
+    if (response && response.success) {
+      return response.digest;
+    }
 
-    } catch (error) {
-      lastError = error;
-      log('warn', `API attempt ${attempt} failed:`, error.message);
+    log('warn', 'Cache digest failed:', response?.error);
+  } catch (error) {
+    log('warn', 'Cache digest failed:', error.message);
+  }
 
-      // Don't retry on certain errors
-      if (error.message.includes('400') || error.message.includes('Invalid')) {
-        throw error;
-      }
+  return null;
+}
 
-      // Wait before retry (exponential backoff)
-      if (attempt < maxRetries) {
-        const waitTime = Math.pow(2, attempt - 1) * 1000; // 1s, 2s, 4s
-        log('debug', `Waiting ${waitTime}ms before retry`);
-        await sleep(waitTime);
-      }
-    }
+/**
+ * Store a description in the background's persistent cache
+ * @param {string|null} digest - Image digest from lookupCachedDescription()
+ * @param {string} description - Description from the API
+ * @param {string|null} [longDescription] - Long description, cached together with the short one
+ * @returns {Promise<void>}
+ */
+async function storeCachedDescription(digest, description, longDescription = null) {
+  if (!digest) {
+    return;
   }
 
-  // All retries failed
-  throw new Error(`API failed after ${maxRetries} attempts: ${lastError.message}`);
+  try {
+    await browser.runtime.sendMessage({ type: 'CACHE_STORE', digest, description, longDescription });
+  } catch (error) {
+    log('warn', 'Cache store failed:', error.message);
+  }
 }
 
 /**
- * Process an image through the API (queued)
- * @param {string} base64 - Base64 encoded image
- * @returns {Promise<string>} Description from API
+ * Give up a cache lookup claim after a failure so other frames and tabs
+ * waiting for the same image stop waiting and ask the API themselves
+ * @param {string|null} digest - Image digest from lookupCachedDescription()
+ * @returns {Promise<void>}
  */
-async function processImage(base64) {
-  return requestQueue.add(() => sendImageToAPI(base64));
+async function releaseCachedDescription(digest) {
+  if (!digest) {
+    return;
+  }
+
+  try {
+    await browser.runtime.sendMessage({ type: 'CACHE_RELEASE', digest });
+  } catch (error) {
+    log('warn', 'Cache release failed:', error.message);
+  }
 }
 
 /**
- * Get API client statistics
+ * Get API client statistics for this frame
  * @returns {object} Statistics
  */
 function getAPIStats() {
-  return requestQueue.getStats();
+  let active = 0;
+  for (const job of pendingJobs.values()) {
+    if (job.started) active++;
+  }
+
+  return {
+    ...jobStats,
+    queued: pendingJobs.size - active,
+    active,
+    paused: queuePaused
+  };
 }
 
 /**
- * Clear the request queue
+ * Drop this frame's queued and running images
+ * Running requests are aborted unless another tab waits for the same image.
  */
 function clearQueue() {
-  requestQueue.clear();
+  const cleared = [...pendingJobs.values()];
+  pendingJobs.clear();
+
+  // Settle waiting callers so their images leave the in-flight set (not counted as failures)
+  for (const { reject } of cleared) {
+    reject(new DOMException('Queue cleared', 'AbortError'));
+  }
+
+  browser.runtime.sendMessage({ type: 'CANCEL_JOBS' }).catch(error => {
+    log('debug', 'Could not cancel requests:', error.message);
+  });
+
+  log('warn', 'Queue cleared');
+}
+
+/**
+ * Pause or resume sending this frame's queued images
+ * @param {boolean} paused - True to pause
+ */
+function setQueuePaused(paused) {
+  queuePaused = paused;
+
+  browser.runtime.sendMessage({ type: 'SET_QUEUE_PAUSED', paused }).catch(error => {
+    log('warn', 'Could not pause the queue:', error.message);
+  });
+
+  log('info', paused ? 'Queue paused' : 'Queue resumed');
 }
 
 // For debugging in console
 if (window.IMAGE_ALT_DEBUG) {
   window.imageAltAPI = {
     getStats: getAPIStats,
-    clearQueue: clearQueue
+    clearQueue: clearQueue,
+    setPaused: setQueuePaused
   };
 }
@@ -0,0 +1,532 @@
+/**
+ * API Providers - Adapters for the analysis servers the extension can talk to
+ * Each adapter turns an image into a fetch request, reads the description out of
+ * the response and maps error responses to readable errors.
+ * Shared by content scripts, the background script, the options page and the popup;
+ * settings.js depends on it to validate server profiles. Error classes come from utils/errors.js.
+ *
+ * Profiles (one per line in the options page):
+ *   name = provider endpoint [model] [apiKey]
+ * Use `-` as the model to send none while still giving an API key.
+ * The built-in profile `default` is the multipart server at the apiEndpoint setting.
+ */
+
+const DEFAULT_API_PROFILE = 'default';
+
+// Profile names appear in the popup and in settings
+const API_PROFILE_NAME_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Build an HttpError for a non-2xx response
+ * @param {Response} response - Fetch response
+ * @param {string} [detail] - Server-provided error message
+ * @returns {HttpError} Error with the status code and the Retry-After delay
+ */
+function createHttpError(response, detail) {
+  return new HttpError(
+    response.status,
+    `API returned ${response.status}: ${detail || response.statusText}`,
+    parseRetryAfter(response.headers.get('Retry-After'))
+  );
+}
+
+// Bytes per String.fromCharCode() call when encoding base64
+const BASE64_CHUNK_SIZE = 0x8000;
+
+/**
+ * Get the raw base64 payload of a blob (no data URL prefix)
+ * Reads the bytes directly: FileReader does not exist in a service worker.
+ * @param {Blob} blob - Image blob
+ * @returns {Promise<string>} Base64
+ */
+async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK_SIZE));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Read a blob as a data URL
+ * @param {Blob} blob - Image blob
+ * @returns {Promise<string>} data:image/...;base64,...
+ */
+async function blobToDataUrl(blob) {
+  return `data:${blob.type || 'application/octet-stream'};base64,${await blobToBase64(blob)}`;
+}
+
+/**
+ * Build an upload file name with the extension of the blob's type
+ * @param {Blob} blob - Image blob
+ * @param {string} name - File name without extension
+ * @returns {string} e.g. image.webp
+ */
+function getUploadFileName(blob, name) {
+  const subtype = (blob.type.split('/')[1] || 'octet-stream').split('+')[0];
+  return `${name}.${subtype === 'jpeg' ? 'jpg' : subtype}`;
+}
+
+/**
+ * Authorization header for profiles with an API key
+ * @param {object} profile - Server profile
+ * @returns {object} Headers (empty without a key)
+ */
+function authHeaders(profile) {
+  return profile.apiKey ? { Authorization: `Bearer ${profile.apiKey}` } : {};
+}
+
+// Labels for page context fields in model prompts
+const CONTEXT_FIELD_LABELS = {
+  figcaption: 'Figure caption',
+  linkText: 'Link text',
+  heading: 'Nearby heading',
+  paragraph: 'Nearby paragraph',
+  pageTitle: 'Page title',
+  existingAlt: 'Existing alt text',
+  filename: 'File name'
+};
+
+/**
+ * Build the model prompt, asking for the requested language and adding page context
+ * @param {object} request - Request data ({image, language, context})
+ * @returns {string} Prompt
+ */
+function buildPrompt(request) {
+  let prompt = getSetting('apiPrompt');
+
+  if (request.language) {
+    let languageName = request.language;
+    try {
+      languageName = new Intl.DisplayNames(['en'], { type: 'language' }).of(request.language) || languageName;
+    } catch (error) {
+      // Unknown tag: the model gets the tag itself
+    }
+
+    prompt += ` Write it in ${languageName} (${request.language}).`;
+  }
+
+  const contextLines = Object.entries(request.context || {})
+    .map(([field, value]) => `${CONTEXT_FIELD_LABELS[field] || field}: ${value}`);
+
+  if (contextLines.length > 0) {
+    prompt += `\n\nContext from the page (may be incomplete or unrelated):\n${contextLines.join('\n')}`;
+  }
+
+  if (request.longDescription) {
+    prompt += `\n\nIf the image is complex (chart, diagram, infographic, map), add a line containing only ` +
+      `"${LONG_DESCRIPTION_MARKER}" after the short text, followed by a detailed description.`;
+  }
+
+  return prompt;
+}
+
+// Separates the short text from the long description in model answers
+const LONG_DESCRIPTION_MARKER = 'LONG:';
+
+/**
+ * Split a model answer into the short text and the optional long description
+ * @param {string} text - Model answer
+ * @returns {{description: string, longDescription: string|null}} Parsed result
+ */
+function splitLongDescription(text) {
+  const lines = text.split('\n');
+  const markerIndex = lines.findIndex(line => line.trim() === LONG_DESCRIPTION_MARKER);
+
+  if (markerIndex === -1) {
+    return { description: text.trim(), longDescription: null };
+  }
+
+  return {
+    description: lines.slice(0, markerIndex).join('\n').trim(),
+    longDescription: lines.slice(markerIndex + 1).join('\n').trim() || null
+  };
+}
+
+/**
+ * Adapter registry
+ * buildRequest(request, profile) -> {url, init} or a promise of it; request is {image: Blob, language, context,
+ *   longDescription, stream}
+ * parseResponse(data) -> {description, longDescription} (throws on unexpected payloads)
+ * parseStreamEvent(data) -> {text?, description?, longDescription?, done?} for one streamed chunk;
+ *   text is appended, description replaces everything received so far
+ * mapError(response, data) -> Error for non-2xx responses (data is parsed JSON or null)
+ * getHealthRequest(profile) -> {url, init} of a cheap GET that shows whether the server is up
+ *
+ * Adapters whose servers accept several images per request also implement:
+ * getBatchEndpoint(profile) -> URL that is asked (GET) for batch support and receives batches
+ * buildBatchRequest(requests, profile) -> {url, init}
+ * parseBatchResponse(data, count) -> one {description, longDescription} or Error per request, in order
+ */
+const API_PROVIDERS = {
+  // Our FastAPI service: multipart `image`, `language`, `context` (JSON), `long_description` and `stream`
+  // fields, responds with {description, long_description?} or a stream of chunks
+  multipart: {
+    label: 'Multipart upload (FastAPI)',
+
+    buildRequest(request, profile) {
+      const formData = new FormData();
+      formData.append('image', request.image, getUploadFileName(request.image, 'image'));
+      if (request.language) {
+        formData.append('language', request.language);
+      }
+      if (request.context && Object.keys(request.context).length > 0) {
+        formData.append('context', JSON.stringify(request.context));
+      }
+      if (request.longDescription) {
+        formData.append('long_description', 'true');
+      }
+      if (request.stream) {
+        formData.append('stream', 'true');
+      }
+
+      return {
+        url: profile.endpoint,
+        init: { method: 'POST', body: formData, headers: authHeaders(profile) }
+      };
+    },
+
+    parseResponse(data) {
+      if (!data || typeof data.description !== 'string') {
+        throw new ResponseSchemaError('Invalid API response format');
+      }
+
+      const longDescription = data.long_description ?? data.longDescription;
+      return {
+        description: data.description,
+        longDescription: typeof longDescription === 'string' && longDescription.trim() ? longDescription.trim() : null
+      };
+    },
+
+    // {"delta": "..."} chunks, optionally a full {"description": ...} and a final {"done": true}
+    parseStreamEvent(data) {
+      if (typeof data.error === 'string') {
+        throw new ResponseSchemaError(`API stream error: ${data.error}`);
+      }
+
+      const longDescription = data.long_description ?? data.longDescription;
+      return {
+        text: typeof data.delta === 'string' ? data.delta : undefined,
+        description: typeof data.description === 'string' ? data.description : undefined,
+        longDescription: typeof longDescription === 'string' ? longDescription.trim() : undefined,
+        done: data.done === true
+      };
+    },
+
+    mapError(response, data) {
+      return createHttpError(response, typeof data?.detail === 'string' ? data.detail : null);
+    },
+
+    // GET /health on the server's origin
+    getHealthRequest(profile) {
+      return {
+        url: new URL('/health', profile.endpoint).href,
+        init: { method: 'GET', headers: authHeaders(profile) }
+      };
+    },
+
+    // <endpoint>/batch answers GET with {"batch": true, "max_images"?, "max_bytes"?}
+    getBatchEndpoint(profile) {
+      return `${profile.endpoint.replace(/\/+$/, '')}/batch`;
+    },
+
+    // Repeated `images` files plus `metadata`: a JSON array of {id, language?, context?, long_description?}
+    buildBatchRequest(requests, profile) {
+      const formData = new FormData();
+      const metadata = requests.map((request, index) => {
+        formData.append('images', request.image, getUploadFileName(request.image, `image-${index}`));
+
+        const entry = { id: String(index) };
+        if (request.language) {
+          entry.language = request.language;
+        }
+        if (request.context && Object.keys(request.context).length > 0) {
+          entry.context = request.context;
+        }
+        if (request.longDescription) {
+          entry.long_description = true;
+        }
+        return entry;
+      });
+      formData.append('metadata', JSON.stringify(metadata));
+
+      return {
+        url: this.getBatchEndpoint(profile),
+        init: { method: 'POST', body: formData, headers: authHeaders(profile) }
+      };
+    },
+
+    // {"results": [{id, description, long_description?} | {id, error}]}, matched by id (or position)
+    parseBatchResponse(data, count) {
+      if (!data || !Array.isArray(data.results)) {
+        throw new ResponseSchemaError('Invalid API response format');
+      }
+
+      return Array.from({ length: count }, (unused, index) => {
+        const result = data.results.find(entry => String(entry?.id) === String(index)) ||
+          (data.results[index]?.id === undefined ? data.results[index] : undefined);
+
+        if (!result) {
+          return new ResponseSchemaError('Missing result in batch response');
+        }
+        if (typeof result.error === 'string') {
+          return new ResponseSchemaError(`API error: ${result.error}`);
+        }
+
+        try {
+          return this.parseResponse(result);
+        } catch (error) {
+          return error;
+        }
+      });
+    }
+  },
+
+  // OpenAI-compatible /v1/chat/completions with an image_url content part
+  openai: {
+    label: 'OpenAI-compatible chat (vision)',
+
+    async buildRequest(request, profile) {
+      const body = {
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'text', text: buildPrompt(request) },
+            { type: 'image_url', image_url: { url: await blobToDataUrl(request.image) } }
+          ]
+        }],
+        max_tokens: 300
+      };
+
+      if (profile.model) {
+        body.model = profile.model;
+      }
+      if (request.stream) {
+        body.stream = true;
+      }
+
+      return {
+        url: profile.endpoint,
+        init: {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...authHeaders(profile) },
+          body: JSON.stringify(body)
+        }
+      };
+    },
+
+    parseResponse(data) {
+      let content = data?.choices?.[0]?.message?.content;
+
+      // Some servers return content as an array of parts
+      if (Array.isArray(content)) {
+        content = content.map(part => part?.text || '').join('');
+      }
+
+      if (typeof content !== 'string') {
+        throw new ResponseSchemaError('Invalid API response format');
+      }
+      return splitLongDescription(content);
+    },
+
+    // SSE chunks with choices[0].delta.content, ended by [DONE]
+    parseStreamEvent(data) {
+      if (data.error) {
+        throw new ResponseSchemaError(`API stream error: ${data.error.message || data.error}`);
+      }
+
+      let content = data.choices?.[0]?.delta?.content;
+      if (Array.isArray(content)) {
+        content = content.map(part => part?.text || '').join('');
+      }
+
+      return {
+        text: typeof content === 'string' ? content : undefined,
+        done: Boolean(data.choices?.[0]?.finish_reason)
+      };
+    },
+
+    mapError(response, data) {
+      return createHttpError(response, data?.error?.message);
+    },
+
+    // GET <base>/models next to <base>/chat/completions
+    getHealthRequest(profile) {
+      return {
+        url: new URL('../models', profile.endpoint).href,
+        init: { method: 'GET', headers: authHeaders(profile) }
+      };
+    }
+  },
+
+  // Ollama /api/generate with raw base64 images (NDJSON when streaming)
+  ollama: {
+    label: 'Ollama generate',
+
+    async buildRequest(request, profile) {
+      return {
+        url: profile.endpoint,
+        init: {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...authHeaders(profile) },
+          body: JSON.stringify({
+            model: profile.model || 'llava',
+            prompt: buildPrompt(request),
+            images: [await blobToBase64(request.image)],
+            stream: Boolean(request.stream)
+          })
+        }
+      };
+    },
+
+    parseResponse(data) {
+      if (!data || typeof data.response !== 'string') {
+        throw new ResponseSchemaError('Invalid API response format');
+      }
+      return splitLongDescription(data.response);
+    },
+
+    // NDJSON lines with a `response` token and `done`
+    parseStreamEvent(data) {
+      if (typeof data.error === 'string') {
+        throw new ResponseSchemaError(`API stream error: ${data.error}`);
+      }
+
+      return {
+        text: typeof data.response === 'string' ? data.response : undefined,
+        done: data.done === true
+      };
+    },
+
+    mapError(response, data) {
+      return createHttpError(response, typeof data?.error === 'string' ? data.error : null);
+    },
+
+    // GET /api/tags lists the installed models
+    getHealthRequest(profile) {
+      return {
+        url: new URL('/api/tags', profile.endpoint).href,
+        init: { method: 'GET', headers: authHeaders(profile) }
+      };
+    }
+  }
+};
+
+/**
+ * Get an adapter by provider name
+ * @param {string} provider - Provider name
+ * @returns {object} Adapter (the multipart one for unknown names)
+ */
+function getApiProvider(provider) {
+  return API_PROVIDERS[provider] || API_PROVIDERS.multipart;
+}
+
+/**
+ * Parse `name = provider endpoint [model] [apiKey]` lines into server profiles
+ * Blank lines and lines starting with # are ignored
+ * @param {string} text - One profile per line
+ * @returns {{profiles: object[], errors: string[]}} Profiles and per-line errors
+ */
+function parseApiProfiles(text) {
+  const profiles = [];
+  const errors = [];
+
+  String(text).split('\n').forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (line === '' || line.startsWith('#')) return;
+
+    const separator = line.indexOf('=');
+    if (separator === -1) {
+      errors.push(`Line ${index + 1}: expected "name = provider endpoint [model] [apiKey]"`);
+      return;
+    }
+
+    const name = line.substring(0, separator).trim();
+    const [provider, endpoint, model = '', apiKey = ''] = line.substring(separator + 1).trim().split(/\s+/);
+
+    if (!API_PROFILE_NAME_PATTERN.test(name) || name === DEFAULT_API_PROFILE) {
+      errors.push(`Line ${index + 1}: invalid profile name "${name}"`);
+      return;
+    }
+    if (profiles.some(profile => profile.name === name)) {
+      errors.push(`Line ${index + 1}: duplicate profile name "${name}"`);
+      return;
+    }
+    if (!API_PROVIDERS[provider]) {
+      errors.push(`Line ${index + 1}: provider must be one of ${Object.keys(API_PROVIDERS).join(', ')}`);
+      return;
+    }
+
+    let url;
+    try {
+      url = new URL(endpoint);
+    } catch (error) {
+      url = null;
+    }
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+      errors.push(`Line ${index + 1}: invalid endpoint URL`);
+      return;
+    }
+
+    profiles.push({
+      name,
+      provider,
+      endpoint: url.href,
+      model: model === '-' ? '' : model,
+      apiKey
+    });
+  });
+
+  return { profiles, errors };
+}
+
+/**
+ * Format server profiles as `name = provider endpoint [model] [apiKey]` lines
+ * @param {object[]} profiles - Server profiles
+ * @returns {string} Text, one profile per line
+ */
+function formatApiProfiles(profiles) {
+  return (profiles || []).map(profile => {
+    const parts = [profile.provider, profile.endpoint];
+    if (profile.model || profile.apiKey) {
+      parts.push(profile.model || '-');
+    }
+    if (profile.apiKey) {
+      parts.push(profile.apiKey);
+    }
+    return `${profile.name} = ${parts.join(' ')}`;
+  }).join('\n');
+}
+
+/**
+ * Get the built-in profile for the apiEndpoint setting
+ * @returns {object} Default profile
+ */
+function getDefaultApiProfile() {
+  return {
+    name: DEFAULT_API_PROFILE,
+    provider: 'multipart',
+    endpoint: getSetting('apiEndpoint'),
+    model: '',
+    apiKey: ''
+  };
+}
+
+/**
+ * Get every selectable profile, the built-in one first
+ * @returns {object[]} Profiles
+ */
+function getApiProfiles() {
+  return [getDefaultApiProfile(), ...getSetting('apiProfiles')];
+}
+
+/**
+ * Get the profile selected in the settings
+ * Falls back to the built-in profile if the selected one was removed
+ * @returns {object} Active profile
+ */
+function getActiveApiProfile() {
+  const name = getSetting('activeApiProfile');
+  return getApiProfiles().find(profile => profile.name === name) || getDefaultApiProfile();
+}
@@ -0,0 +1,153 @@
+/**
+ * Browser Shim - Lets the same code run in Firefox and Chromium
+ * Firefox provides the promise-based `browser` namespace itself; in Chromium this file
+ * defines it on top of `chrome`, whose Manifest V3 APIs return promises as well.
+ * Two differences remain, handled here so the rest of the code does not see them:
+ * - runtime.onMessage listeners answer by returning a promise, which Chromium ignores:
+ *   the shim hands the result to sendResponse instead;
+ * - Chromium sends messages as JSON, so Blobs would arrive as empty objects: the shim
+ *   encodes them as base64 before sending and turns them back into Blobs on arrival.
+ * Must be loaded before every other script (content scripts, background, pages).
+ */
+
+(function() {
+  if (typeof globalThis.browser !== 'undefined' || typeof globalThis.chrome === 'undefined') {
+    return;
+  }
+
+  // Property that marks an encoded Blob inside a message
+  const BLOB_MARKER = '__imageAltBlob';
+
+  // Bytes per String.fromCharCode() call when building base64
+  const BASE64_CHUNK_SIZE = 0x8000;
+
+  /**
+   * Check for an object literal (the only objects walked for Blobs)
+   * @param {*} value - Any value
+   * @returns {boolean} True for plain objects
+   */
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+  }
+
+  /**
+   * Replace every Blob in a message with its base64 encoding
+   * @param {*} value - Message or part of it
+   * @returns {Promise<*>} JSON-safe copy
+   */
+  async function encodeBlobs(value) {
+    if (value instanceof Blob) {
+      const bytes = new Uint8Array(await value.arrayBuffer());
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += BASE64_CHUNK_SIZE) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK_SIZE));
+      }
+      return { [BLOB_MARKER]: btoa(binary), type: value.type };
+    }
+
+    if (Array.isArray(value)) {
+      return Promise.all(value.map(encodeBlobs));
+    }
+
+    if (isPlainObject(value)) {
+      const entries = await Promise.all(Object.entries(value).map(async ([key, item]) => [key, await encodeBlobs(item)]));
+      return Object.fromEntries(entries);
+    }
+
+    return value;
+  }
+
+  /**
+   * Turn encoded Blobs in a received message back into Blobs
+   * @param {*} value - Message or part of it
+   * @returns {*} Message with Blobs
+   */
+  function decodeBlobs(value) {
+    if (Array.isArray(value)) {
+      return value.map(decodeBlobs);
+    }
+
+    if (isPlainObject(value)) {
+      if (typeof value[BLOB_MARKER] === 'string') {
+        const binary = atob(value[BLOB_MARKER]);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+          bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type: value.type });
+      }
+
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decodeBlobs(item)]));
+    }
+
+    return value;
+  }
+
+  /**
+   * Wrap an API namespace, replacing some members and binding the others to it
+   * @param {object} target - chrome namespace
+   * @param {object} overrides - Replacement members
+   * @returns {object} Wrapped namespace
+   */
+  function wrapNamespace(target, overrides) {
+    return new Proxy(target, {
+      get(namespace, property) {
+        if (Object.prototype.hasOwnProperty.call(overrides, property)) {
+          return overrides[property];
+        }
+        const value = namespace[property];
+        return typeof value === 'function' ? value.bind(namespace) : value;
+      }
+    });
+  }
+
+  // Listener -> wrapper registered with chrome.runtime.onMessage
+  const messageListeners = new Map();
+
+  const onMessage = {
+    addListener(listener) {
+      const wrapper = (message, sender, sendResponse) => {
+        const result = listener(decodeBlobs(message), sender);
+
+        // Not answered here: let other listeners respond
+        if (!result || typeof result.then !== 'function') {
+          return false;
+        }
+
+        result
+          .then(encodeBlobs)
+          .then(sendResponse, error => sendResponse({ success: false, error: error.message }));
+        return true;
+      };
+
+      messageListeners.set(listener, wrapper);
+      chrome.runtime.onMessage.addListener(wrapper);
+    },
+
+    removeListener(listener) {
+      chrome.runtime.onMessage.removeListener(messageListeners.get(listener));
+      messageListeners.delete(listener);
+    },
+
+    hasListener(listener) {
+      return messageListeners.has(listener);
+    }
+  };
+
+  const overrides = {
+    runtime: wrapNamespace(chrome.runtime, {
+      onMessage,
+      sendMessage: async message => decodeBlobs(await chrome.runtime.sendMessage(await encodeBlobs(message)))
+    })
+  };
+
+  // Content scripts have no tabs API
+  if (chrome.tabs) {
+    overrides.tabs = wrapNamespace(chrome.tabs, {
+      sendMessage: async (tabId, message, options = {}) =>
+        decodeBlobs(await chrome.tabs.sendMessage(tabId, await encodeBlobs(message), options))
+    });
+  }
+
+  globalThis.browser = wrapNamespace(chrome, overrides);
+})();
@@ -0,0 +1,134 @@
+/**
+ * Errors - Typed errors for everything that can go wrong between an image and its description
+ * Shared by content scripts, the background script, the options page and the popup.
+ * Every error carries a `type` that survives messaging (see serializeError()) and is
+ * what the per-image failure statistics count; the background retry policy looks at
+ * the class and, for HTTP errors, the status code.
+ */
+
+// Failure causes, in the order the popup lists them ('unknown' covers untyped errors)
+const ERROR_TYPES = ['network', 'timeout', 'http', 'schema', 'conversion', 'cors', 'unknown'];
+
+class ImageAltError extends Error {
+  /**
+   * @param {string} type - One of ERROR_TYPES
+   * @param {string} message - Error message
+   * @param {Error} [cause] - Underlying error
+   */
+  constructor(type, message, cause) {
+    super(message);
+    this.name = new.target.name;
+    this.type = type;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+// The server could not be reached (connection refused, DNS, offline)
+class NetworkError extends ImageAltError {
+  constructor(message, cause) {
+    super('network', message, cause);
+  }
+}
+
+// No answer (or no next stream chunk) in time
+class TimeoutError extends ImageAltError {
+  constructor(message) {
+    super('timeout', message);
+  }
+}
+
+// Non-2xx response; retryAfterMs comes from the Retry-After header
+class HttpError extends ImageAltError {
+  constructor(status, message, retryAfterMs = null) {
+    super('http', message);
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// The server answered, but not in the format its adapter expects, or without a description:
+// an empty stream, or an error it reported inside a stream or a batch result
+class ResponseSchemaError extends ImageAltError {
+  constructor(message) {
+    super('schema', message);
+  }
+}
+
+// The image could not be decoded, drawn or encoded
+class ConversionError extends ImageAltError {
+  constructor(message, cause) {
+    super('conversion', message, cause);
+  }
+}
+
+// The page's image could not be read because of cross-origin restrictions
+class CorsError extends ImageAltError {
+  constructor(message, cause) {
+    super('cors', message, cause);
+  }
+}
+
+/**
+ * Get the failure cause of an error
+ * @param {Error} error - Any error
+ * @returns {string} One of ERROR_TYPES
+ */
+function getErrorType(error) {
+  return ERROR_TYPES.includes(error?.type) ? error.type : 'unknown';
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} value - Delay in seconds or an HTTP date
+ * @returns {number|null} Delay in milliseconds, or null if absent or unreadable
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value.trim()) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Turn an error into message fields (errors lose their class when sent between scripts)
+ * Cancelled requests get the type 'cancelled', which is not a failure cause.
+ * @param {Error} error - Error to send
+ * @returns {{error: string, errorType: string, status?: number, retryAfterMs?: number|null}} Fields for a response
+ */
+function serializeError(error) {
+  const fields = { error: error.message, errorType: error.cancelled ? 'cancelled' : getErrorType(error) };
+  if (error instanceof HttpError) {
+    fields.status = error.status;
+    fields.retryAfterMs = error.retryAfterMs;
+  }
+  return fields;
+}
+
+/**
+ * Rebuild a typed error from a failed response
+ * @param {object|undefined} response - Response with serializeError() fields
+ * @param {string} fallbackMessage - Message if the response has none
+ * @returns {Error} Error of the original type; an AbortError for cancelled requests
+ */
+function deserializeError(response, fallbackMessage) {
+  const message = response?.error || fallbackMessage;
+
+  switch (response?.errorType) {
+    case 'network': return new NetworkError(message);
+    case 'timeout': return new TimeoutError(message);
+    case 'http': return new HttpError(response.status, message, response.retryAfterMs ?? null);
+    case 'schema': return new ResponseSchemaError(message);
+    case 'conversion': return new ConversionError(message);
+    case 'cors': return new CorsError(message);
+    case 'cancelled': return new DOMException(message, 'AbortError');
+    default: return new Error(message);
+  }
+}
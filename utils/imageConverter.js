@@ -1,68 +1,233 @@
 /**
- * Image Converter - Converts images to base64 format
- * Handles CORS issues using canvas method and background script fallback
+ * Image Converter - Turns page images into blobs ready for upload
+ * Handles CORS issues using canvas method and background script fallback.
+ * Each source kind from content/imageSources.js has its own conversion path;
+ * all of them end in encodeImage(), which downscales to the configured maximum
+ * dimension, encodes as JPEG, WebP or PNG and lowers quality, then size, until
+ * the image fits the upload limit.
  */
 
+// Configuration comes from utils/settings.js:
+// maxImageDimension, imageFormat, imageQuality, maxUploadSizeMb
+
 function log(level, message, data) {
   imageAltLog('ImageConverter', level, message, data);
 }
 
+const IMAGE_MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  png: 'image/png'
+};
+
+// Quality ladder for lossy formats: lower quality by this much per step, down to the minimum
+const QUALITY_STEP = 0.15;
+const MIN_ENCODING_QUALITY = 0.4;
+
+// When the lowest quality is still too large, shrink the image by this factor and start over
+const DOWNSCALE_STEP = 0.75;
+
+// Give up once the longest side would drop below this many pixels
+const MIN_ENCODED_DIMENSION = 128;
+
+/**
+ * Scale a size down so its longest side is at most maxDimension
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} maxDimension - Longest allowed side
+ * @returns {{width: number, height: number}} Target size (never larger than the original)
+ */
+function getTargetSize(width, height, maxDimension) {
+  const scale = Math.min(1, maxDimension / Math.max(width, height));
+
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+/**
+ * Create a canvas with a 2D context
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {{canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D}} Canvas and context
+ */
+function createCanvas(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    throw new ConversionError('Could not get canvas context');
+  }
+
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+
+  return { canvas, ctx };
+}
+
+/**
+ * Draw an image onto a canvas of the target size
+ * Large reductions go in halving steps; a single drawImage() over a big ratio
+ * skips source pixels and loses thin lines and text.
+ * @param {CanvasImageSource} source - Image, canvas or ImageBitmap
+ * @param {{width: number, height: number}} sourceSize - Intrinsic size of the source
+ * @param {{width: number, height: number}} size - Target size
+ * @param {boolean} opaque - Paint transparent areas white (for JPEG)
+ * @returns {HTMLCanvasElement} Canvas with the scaled image
+ */
+function drawScaled(source, sourceSize, size, opaque) {
+  let current = source;
+  let { width, height } = sourceSize;
+
+  while (width / 2 >= size.width && height / 2 >= size.height) {
+    width = Math.round(width / 2);
+    height = Math.round(height / 2);
+
+    const step = createCanvas(width, height);
+    step.ctx.drawImage(current, 0, 0, width, height);
+    current = step.canvas;
+  }
+
+  const { canvas, ctx } = createCanvas(size.width, size.height);
+
+  // JPEG has no alpha channel: paint transparent areas white instead of black
+  if (opaque) {
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, size.width, size.height);
+  }
+
+  ctx.drawImage(current, 0, 0, size.width, size.height);
+  return canvas;
+}
+
 /**
- * Convert an image to base64 using canvas
- * @param {HTMLImageElement} img - The image element
- * @param {number} quality - JPEG quality (0-1), default 0.8
- * @returns {Promise<string>} Base64 data URL
+ * Encode a canvas
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @param {string} type - MIME type
+ * @param {number} [quality] - Quality (0-1) for lossy formats
+ * @returns {Promise<Blob>} Encoded image
  */
-async function imageToBase64Canvas(img, quality = 0.8) {
+function canvasToBlob(canvas, type, quality) {
   return new Promise((resolve, reject) => {
-    try {
-      const canvas = document.createElement('canvas');
-      canvas.width = img.naturalWidth;
-      canvas.height = img.naturalHeight;
-
-      const ctx = canvas.getContext('2d');
-      if (!ctx) {
-        reject(new Error('Could not get canvas context'));
-        return;
+    // Throws a SecurityError for canvases tainted by cross-origin content
+    canvas.toBlob(blob => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new ConversionError('Canvas encoding failed'));
       }
+    }, type, quality);
+  });
+}
+
+/**
+ * Downscale and encode an image, shrinking it until it fits the upload limit
+ * @param {CanvasImageSource} source - Image, canvas or ImageBitmap
+ * @param {{width: number, height: number}} sourceSize - Intrinsic size of the source
+ * @returns {Promise<Blob|null>} Encoded image, or null if it cannot be made small enough
+ */
+async function encodeImage(source, sourceSize) {
+  const type = IMAGE_MIME_TYPES[getSetting('imageFormat')];
+  const lossy = type !== IMAGE_MIME_TYPES.png;
+  const maxBytes = getSetting('maxUploadSizeMb') * 1024 * 1024;
 
-      // Draw the image
-      ctx.drawImage(img, 0, 0);
+  let size = getTargetSize(sourceSize.width, sourceSize.height, getSetting('maxImageDimension'));
 
-      // Convert to base64 with compression
-      const base64 = canvas.toDataURL('image/jpeg', quality);
+  do {
+    const canvas = drawScaled(source, sourceSize, size, type === IMAGE_MIME_TYPES.jpeg);
 
-      log('debug', `Converted to base64 (canvas): ${img.src.substring(0, 50)}`);
-      resolve(base64);
-    } catch (error) {
-      // This will typically be a CORS error
-      log('warn', `Canvas conversion failed (likely CORS):`, error.message);
-      reject(error);
+    for (let quality = getSetting('imageQuality'); ; quality -= QUALITY_STEP) {
+      const blob = await canvasToBlob(canvas, type, lossy ? quality : undefined);
+
+      if (blob.size <= maxBytes) {
+        log('debug', `Encoded ${size.width}x${size.height} ${blob.type}: ${(blob.size / 1024).toFixed(0)}KB`);
+        return blob;
+      }
+
+      if (!lossy || quality - QUALITY_STEP < MIN_ENCODING_QUALITY) break;
     }
-  });
+
+    size = {
+      width: Math.max(1, Math.round(size.width * DOWNSCALE_STEP)),
+      height: Math.max(1, Math.round(size.height * DOWNSCALE_STEP))
+    };
+    log('debug', `Still over ${getSetting('maxUploadSizeMb')}MB, downscaling to ${size.width}x${size.height}`);
+  } while (Math.max(size.width, size.height) >= MIN_ENCODED_DIMENSION);
+
+  return null;
 }
 
 /**
- * Convert an image to base64 using fetch + FileReader
- * @param {string} url - The image URL
- * @returns {Promise<string>} Base64 data URL
+ * Convert a drawable image using canvas
+ * @param {HTMLImageElement|HTMLCanvasElement} img - The image (or canvas) to draw
+ * @returns {Promise<Blob|null>} Encoded image, or null if it cannot be made small enough
  */
-async function fetchImageAsBase64(url) {
+async function imageToBlobCanvas(img) {
   try {
-    const response = await fetch(url);
+    const blob = await encodeImage(img, {
+      width: img.naturalWidth || img.width,
+      height: img.naturalHeight || img.height
+    });
 
-    if (!response.ok) {
-      throw new Error(`Fetch failed: ${response.status}`);
+    log('debug', `Converted (canvas): ${(img.src || `<${img.localName}>`).substring(0, 50)}`);
+    return blob;
+  } catch (error) {
+    // Canvases tainted by cross-origin content refuse to be read
+    if (error.name === 'SecurityError') {
+      log('warn', 'Canvas conversion blocked by CORS:', error.message);
+      throw new CorsError('Canvas tainted by a cross-origin image', error);
+    }
+
+    log('warn', 'Canvas conversion failed:', error.message);
+    throw error instanceof ImageAltError ? error : new ConversionError(`Canvas conversion failed: ${error.message}`, error);
+  }
+}
+
+/**
+ * Decode a fetched image file and encode it like any other image
+ * @param {Blob} blob - Image file
+ * @returns {Promise<Blob|null>} Encoded image, or null if it cannot be made small enough
+ */
+async function encodeImageBlob(blob) {
+  let bitmap;
+
+  try {
+    bitmap = await createImageBitmap(blob);
+  } catch (error) {
+    // Formats createImageBitmap cannot decode (e.g. SVG files) go as they are if small enough
+    if (blob.size <= getSetting('maxUploadSizeMb') * 1024 * 1024) {
+      return blob;
     }
+    throw new ConversionError(`Could not decode image: ${error.message}`, error);
+  }
 
-    const blob = await response.blob();
+  try {
+    return await encodeImage(bitmap, { width: bitmap.width, height: bitmap.height });
+  } finally {
+    bitmap.close();
+  }
+}
 
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onloadend = () => resolve(reader.result);
-      reader.onerror = () => reject(new Error('FileReader failed'));
-      reader.readAsDataURL(blob);
+/**
+ * Fetch an image file directly
+ * @param {string} url - The image URL
+ * @returns {Promise<Blob>} Image file
+ */
+async function fetchImageAsBlob(url) {
+  try {
+    // A TypeError here usually means the server does not allow cross-origin reads
+    const response = await fetch(url).catch(error => {
+      throw new CorsError(`Fetch blocked: ${error.message}`, error);
     });
+
+    if (!response.ok) {
+      throw new HttpError(response.status, `Fetch failed: ${response.status}`);
+    }
+
+    return await response.blob();
   } catch (error) {
     log('error', `Fetch conversion failed:`, error.message);
     throw error;
@@ -70,139 +235,154 @@ async function fetchImageAsBase64(url) {
 }
 
 /**
- * Request base64 conversion via background script (for CORS bypass)
+ * Fetch an image file via background script (for CORS bypass)
  * @param {string} url - The image URL
- * @returns {Promise<string>} Base64 data URL
+ * @returns {Promise<Blob>} Image file
  */
 async function requestBackgroundConversion(url) {
-  return new Promise((resolve, reject) => {
-    // Send message to background script
-    browser.runtime.sendMessage({
+  try {
+    const response = await browser.runtime.sendMessage({
       type: 'CONVERT_IMAGE',
       url: url
-    }).then(response => {
-      if (response && response.success) {
-        log('debug', `Converted via background: ${url.substring(0, 50)}`);
-        resolve(response.base64);
-      } else {
-        reject(new Error(response?.error || 'Background conversion failed'));
-      }
-    }).catch(error => {
-      log('error', `Background conversion failed:`, error.message);
-      reject(error);
     });
-  });
+
+    if (!response || !response.success) {
+      throw deserializeError(response, 'Background conversion failed');
+    }
+
+    log('debug', `Fetched via background: ${url.substring(0, 50)}`);
+    return response.blob;
+  } catch (error) {
+    log('error', `Background conversion failed:`, error.message);
+    throw error;
+  }
 }
 
 /**
- * Main image conversion function with fallback chain
- * @param {HTMLImageElement} img - The image element
- * @returns {Promise<string>} Base64 data URL
+ * Load an image URL into a detached <img> element
+ * @param {string} url - Image URL
+ * @returns {Promise<HTMLImageElement>} Decoded image
  */
-async function convertImageToBase64(img) {
-  // Validate image
-  if (!img || !img.src) {
-    throw new Error('Invalid image element');
-  }
+async function loadImage(url) {
+  const image = new Image();
+  image.src = url;
 
-  if (img.naturalWidth === 0 || img.naturalHeight === 0) {
-    throw new Error('Image not loaded or broken');
+  try {
+    await image.decode();
+  } catch (error) {
+    throw new ConversionError(`Could not load image: ${url.substring(0, 50)}`, error);
   }
 
-  // Skip data URIs (already base64)
-  if (img.src.startsWith('data:')) {
-    log('debug', 'Image is already a data URI, skipping conversion');
-    return img.src;
-  }
+  return image;
+}
 
+/**
+ * Convert a loaded image with the canvas -> fetch -> background fallback chain
+ * @param {HTMLImageElement|null} img - Loaded image element, null if it could not be
+ *   loaded in the page (the canvas method is skipped)
+ * @param {string} url - URL the image was loaded from
+ * @returns {Promise<Blob|null>} Encoded image, or null if it cannot be made small enough
+ */
+async function convertLoadedImage(img, url) {
   // Try conversion methods in order
   try {
     // Method 1: Canvas (fastest, but fails on CORS)
-    return await imageToBase64Canvas(img);
+    if (!img) {
+      throw new ConversionError('Image not loaded');
+    }
+    return await imageToBlobCanvas(img);
   } catch (canvasError) {
     log('warn', 'Canvas method failed, trying fetch method');
 
     try {
       // Method 2: Fetch (works if image is CORS-enabled)
-      return await fetchImageAsBase64(img.src);
+      return await encodeImageBlob(await fetchImageAsBlob(url));
     } catch (fetchError) {
       log('warn', 'Fetch method failed, trying background script');
 
       try {
         // Method 3: Background script (works for any URL due to extension privileges)
-        return await requestBackgroundConversion(img.src);
+        return await encodeImageBlob(await requestBackgroundConversion(url));
       } catch (backgroundError) {
         // All methods failed
-        log('error', `All conversion methods failed for: ${img.src.substring(0, 50)}`);
-        throw new Error('Image conversion failed: ' + backgroundError.message);
+        log('error', `All conversion methods failed for: ${url.substring(0, 50)}`);
+
+        // The background fetch is not subject to CORS, so its error names the real cause
+        if (backgroundError instanceof ImageAltError) {
+          backgroundError.message = 'Image conversion failed: ' + backgroundError.message;
+          throw backgroundError;
+        }
+        throw new ConversionError('Image conversion failed: ' + backgroundError.message, backgroundError);
       }
     }
   }
 }
 
 /**
- * Convert base64 data URL to Blob
- * @param {string} base64 - Base64 data URL (data:image/jpeg;base64,...)
- * @returns {Blob} Blob object
+ * Rasterize an inline <svg> element
+ * @param {SVGSVGElement} svg - Outermost svg element
+ * @returns {Promise<Blob|null>} Encoded image, or null if it cannot be made small enough
  */
-function base64ToBlob(base64) {
-  try {
-    // Split the base64 string
-    const parts = base64.split(',');
-    if (parts.length !== 2) {
-      throw new Error('Invalid base64 format');
-    }
-
-    const [metadata, data] = parts;
+async function svgToBlob(svg) {
+  const rect = svg.getBoundingClientRect();
 
-    // Extract MIME type
-    const mimeMatch = metadata.match(/:(.*?);/);
-    if (!mimeMatch) {
-      throw new Error('Could not extract MIME type');
-    }
-    const mime = mimeMatch[1];
-
-    // Decode base64
-    const binary = atob(data);
+  // Serialize a standalone copy sized like the rendered element
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', Math.round(rect.width));
+  clone.setAttribute('height', Math.round(rect.height));
 
-    // Convert to byte array
-    const array = new Uint8Array(binary.length);
-    for (let i = 0; i < binary.length; i++) {
-      array[i] = binary.charCodeAt(i);
-    }
+  const markup = new XMLSerializer().serializeToString(clone);
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
 
-    return new Blob([array], { type: mime });
-  } catch (error) {
-    log('error', 'Failed to convert base64 to blob:', error.message);
-    throw error;
+  try {
+    const image = await loadImage(url);
+    return await imageToBlobCanvas(image);
+  } finally {
+    URL.revokeObjectURL(url);
   }
 }
 
 /**
- * Get the size of a base64 string in bytes
- * @param {string} base64 - Base64 string
- * @returns {number} Size in bytes
- */
-function getBase64Size(base64) {
-  const padding = (base64.match(/=/g) || []).length;
-  const base64Length = base64.length - base64.indexOf(',') - 1;
-  return Math.ceil((base64Length * 3) / 4) - padding;
-}
-
-/**
- * Check if image size is within acceptable limits
- * @param {string} base64 - Base64 string
- * @param {number} maxSizeMB - Maximum size in megabytes
- * @returns {boolean} True if within limits
+ * Main image conversion function with fallback chain
+ * @param {Element} img - The image element (any kind from getImageSource())
+ * @returns {Promise<Blob|null>} Encoded image, or null if it cannot be made small enough
  */
-function isWithinSizeLimit(base64, maxSizeMB = 5) {
-  const sizeBytes = getBase64Size(base64);
-  const sizeMB = sizeBytes / (1024 * 1024);
+async function convertImageToBlob(img) {
+  const source = getImageSource(img);
 
-  if (sizeMB > maxSizeMB) {
-    log('warn', `Image too large: ${sizeMB.toFixed(2)}MB (max ${maxSizeMB}MB)`);
-    return false;
+  // Validate image
+  if (!source) {
+    throw new ConversionError('Invalid image element');
   }
 
-  return true;
+  switch (source.kind) {
+    case 'img':
+      if (!source.url) {
+        throw new ConversionError('Invalid image element');
+      }
+
+      if (img.naturalWidth === 0 || img.naturalHeight === 0) {
+        throw new ConversionError('Image not loaded or broken');
+      }
+
+      return convertLoadedImage(img, source.url);
+
+    case 'svg':
+      return svgToBlob(img);
+
+    case 'canvas':
+      // Throws a SecurityError if the page drew cross-origin content into it
+      return imageToBlobCanvas(img);
+
+    default: {
+      // CSS backgrounds, video posters and role="img" containers: load the URL;
+      // if the page may not load it (CSP, hotlink protection), the fetches may still work
+      const image = await loadImage(source.url).catch(error => {
+        log('warn', `${error.message}, trying fetch method`);
+        return null;
+      });
+      return convertLoadedImage(image, source.url);
+    }
+  }
 }
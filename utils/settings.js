@@ -0,0 +1,379 @@
+/**
+ * Settings - Persisted extension configuration
+ * Shared by content scripts, the background script and the options page.
+ * Depends on utils/siteMatcher.js for per-site settings and utils/apiProviders.js
+ * for server profiles.
+ * Values live in browser.storage.local and are validated against SETTINGS_SCHEMA.
+ */
+
+const SETTINGS_STORAGE_KEY = 'settings';
+
+/**
+ * Schema for every setting: type, default value and accepted range
+ */
+const SETTINGS_SCHEMA = {
+  // API client
+  apiEndpoint: { type: 'url', default: 'http://localhost:8000/analyze' },
+  apiProfiles: { type: 'apiProfiles', default: [] },
+  activeApiProfile: {
+    type: 'string',
+    default: 'default',
+    pattern: /^[\w.-]+$/,
+    patternMessage: 'Must be a profile name'
+  },
+  apiPrompt: {
+    type: 'string',
+    default: 'Write a concise alt text (one or two sentences) describing this image for a screen reader user.',
+    pattern: /\S/,
+    patternMessage: 'Prompt is required'
+  },
+  maxConcurrentRequests: { type: 'integer', default: 3, min: 1, max: 20 },
+  batchDelayMs: { type: 'integer', default: 500, min: 0, max: 60000 },
+  maxRetries: { type: 'integer', default: 3, min: 1, max: 10 },
+  requestTimeoutMs: { type: 'integer', default: 30000, min: 1000, max: 600000 },
+  streamResponses: { type: 'boolean', default: false },
+  streamIdleTimeoutMs: { type: 'integer', default: 15000, min: 1000, max: 300000 },
+
+  // Image encoding before upload
+  maxImageDimension: { type: 'integer', default: 1024, min: 128, max: 8192 },
+  imageFormat: { type: 'enum', default: 'jpeg', options: ['jpeg', 'webp', 'png'] },
+  imageQuality: { type: 'number', default: 0.8, min: 0.4, max: 1 },
+  maxUploadSizeMb: { type: 'number', default: 5, min: 0.1, max: 50 },
+
+  // Batching (only with servers that advertise a batch endpoint)
+  batchingEnabled: { type: 'boolean', default: false },
+  batchWindowMs: { type: 'integer', default: 250, min: 0, max: 5000 },
+  batchMaxImages: { type: 'integer', default: 8, min: 2, max: 50 },
+  batchMaxSizeMb: { type: 'integer', default: 8, min: 1, max: 50 },
+
+  // Server health
+  circuitBreakerEnabled: { type: 'boolean', default: true },
+  circuitFailureThreshold: { type: 'integer', default: 5, min: 1, max: 100 },
+  circuitCooldownMs: { type: 'integer', default: 30000, min: 1000, max: 600000 },
+  circuitOpenAction: { type: 'enum', default: 'park', options: ['park', 'fail'] },
+  healthCheckIntervalMs: { type: 'integer', default: 30000, min: 0, max: 3600000 },
+
+  // Image filtering
+  minImageWidth: { type: 'integer', default: 100, min: 1, max: 10000 },
+  minImageHeight: { type: 'integer', default: 100, min: 1, max: 10000 },
+  minAspectRatio: { type: 'number', default: 0.1, min: 0.01, max: 1 },
+  maxAspectRatio: { type: 'number', default: 10, min: 1, max: 100 },
+  minOpacity: { type: 'number', default: 0.1, min: 0, max: 1 },
+
+  // Where processing is allowed
+  paused: { type: 'boolean', default: false },
+  siteRulesMode: { type: 'enum', default: 'blocklist', options: ['blocklist', 'allowlist'] },
+  siteRules: { type: 'siteMap', default: [], valueOptions: ['allow', 'block'] },
+
+  // Writing descriptions
+  altWritePolicy: {
+    type: 'enum',
+    default: 'replace-low-quality',
+    options: ['fill-missing', 'replace-low-quality', 'append', 'data-attribute']
+  },
+  generatedAltAttribute: {
+    type: 'string',
+    default: 'data-generated-alt',
+    pattern: /^data-[a-z0-9_.-]+$/,
+    patternMessage: 'Must be a data-* attribute name'
+  },
+  longDescriptions: { type: 'boolean', default: false },
+  sitePolicies: {
+    type: 'siteMap',
+    default: [],
+    valueOptions: ['fill-missing', 'replace-low-quality', 'append', 'data-attribute']
+  },
+
+  // Description language ('' follows the page)
+  descriptionLanguage: {
+    type: 'string',
+    default: '',
+    pattern: /^([a-z]{2,3}([-_][a-z0-9]{2,8})*)?$/i,
+    patternMessage: 'Must be a language tag such as "de" or "pt-BR", or empty'
+  },
+  siteLanguages: {
+    type: 'siteMap',
+    default: [],
+    valuePattern: /^[a-z]{2,3}([-_][a-z0-9]{2,8})*$/i,
+    valueMessage: 'value must be a language tag such as "de" or "pt-BR"'
+  },
+
+  // Page context sent with each image
+  contextFigcaption: { type: 'boolean', default: true },
+  contextLinkText: { type: 'boolean', default: true },
+  contextHeading: { type: 'boolean', default: true },
+  contextParagraph: { type: 'boolean', default: true },
+  contextPageTitle: { type: 'boolean', default: true },
+  contextExistingAlt: { type: 'boolean', default: true },
+  contextFilename: { type: 'boolean', default: true },
+  contextMaxLength: { type: 'integer', default: 300, min: 20, max: 2000 },
+
+  // Review
+  reviewMode: { type: 'boolean', default: false },
+
+  // Description cache
+  cacheEnabled: { type: 'boolean', default: true },
+  cacheTtlHours: { type: 'integer', default: 720, min: 1, max: 8760 },
+  cacheMaxEntries: { type: 'integer', default: 5000, min: 10, max: 100000 },
+  perceptualDedup: { type: 'boolean', default: true },
+  perceptualHashDistance: { type: 'integer', default: 4, min: 0, max: 20 },
+
+  // Dynamic content
+  debounceDelayMs: { type: 'integer', default: 1000, min: 0, max: 60000 },
+
+  // Debugging
+  debug: { type: 'boolean', default: true }
+};
+
+// Live settings object, updated in place on load and on storage changes
+const currentSettings = getDefaultSettings();
+
+// Callbacks registered through onSettingsChanged()
+const settingsListeners = [];
+
+/**
+ * Build a fresh settings object containing only default values
+ * @returns {object} Default settings
+ */
+function getDefaultSettings() {
+  const defaults = {};
+  for (const [key, spec] of Object.entries(SETTINGS_SCHEMA)) {
+    defaults[key] = spec.default;
+  }
+  return defaults;
+}
+
+/**
+ * Validate and normalize a single setting value
+ * @param {string} key - Setting name
+ * @param {*} value - Raw value (form strings are coerced)
+ * @returns {{value: *, error: string|null}} Normalized value or error message
+ */
+function validateSetting(key, value) {
+  const spec = SETTINGS_SCHEMA[key];
+  if (!spec) {
+    return { value: undefined, error: `Unknown setting: ${key}` };
+  }
+
+  switch (spec.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return { value: spec.default, error: 'Must be true or false' };
+      }
+      return { value, error: null };
+
+    case 'integer':
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { value: spec.default, error: 'Must be a number' };
+      }
+      if (spec.type === 'integer' && !Number.isInteger(number)) {
+        return { value: spec.default, error: 'Must be a whole number' };
+      }
+      if (number < spec.min || number > spec.max) {
+        return { value: spec.default, error: `Must be between ${spec.min} and ${spec.max}` };
+      }
+      return { value: number, error: null };
+    }
+
+    case 'url': {
+      if (typeof value !== 'string' || value.trim() === '') {
+        return { value: spec.default, error: 'URL is required' };
+      }
+      try {
+        const url = new URL(value.trim());
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+          return { value: spec.default, error: 'Only http and https URLs are supported' };
+        }
+        return { value: url.href, error: null };
+      } catch (error) {
+        return { value: spec.default, error: 'Invalid URL' };
+      }
+    }
+
+    case 'enum':
+      if (!spec.options.includes(value)) {
+        return { value: spec.default, error: `Must be one of: ${spec.options.join(', ')}` };
+      }
+      return { value, error: null };
+
+    case 'string': {
+      const text = typeof value === 'string' ? value.trim() : '';
+      if (spec.pattern && !spec.pattern.test(text)) {
+        return { value: spec.default, error: spec.patternMessage || 'Invalid value' };
+      }
+      return { value: text, error: null };
+    }
+
+    case 'siteMap': {
+      // Accept either stored entries or `pattern = value` text from the options page
+      const { entries, errors } = Array.isArray(value)
+        ? parseSiteMap(formatSiteMap(value))
+        : parseSiteMap(typeof value === 'string' ? value : '');
+
+      if (spec.valueOptions) {
+        entries.forEach(entry => {
+          if (!spec.valueOptions.includes(entry.value)) {
+            errors.push(`${entry.pattern}: value must be one of ${spec.valueOptions.join(', ')}`);
+          }
+        });
+      }
+
+      if (spec.valuePattern) {
+        entries.forEach(entry => {
+          if (!spec.valuePattern.test(entry.value)) {
+            errors.push(`${entry.pattern}: ${spec.valueMessage}`);
+          }
+        });
+      }
+
+      if (errors.length > 0) {
+        return { value: spec.default, error: errors.join('; ') };
+      }
+      return { value: entries, error: null };
+    }
+
+    case 'apiProfiles': {
+      // Accept either stored profiles or `name = provider endpoint ...` text from the options page
+      const { profiles, errors } = parseApiProfiles(
+        Array.isArray(value) ? formatApiProfiles(value) : (typeof value === 'string' ? value : '')
+      );
+
+      if (errors.length > 0) {
+        return { value: spec.default, error: errors.join('; ') };
+      }
+      return { value: profiles, error: null };
+    }
+
+    default:
+      return { value: spec.default, error: `Unsupported setting type: ${spec.type}` };
+  }
+}
+
+/**
+ * Validate a (possibly partial) settings object
+ * Missing keys fall back to defaults, invalid keys fall back to defaults and are reported
+ * @param {object} values - Raw settings
+ * @returns {{settings: object, errors: object}} Complete settings and per-key errors
+ */
+function validateSettings(values) {
+  const settings = getDefaultSettings();
+  const errors = {};
+
+  for (const [key, value] of Object.entries(values || {})) {
+    if (!SETTINGS_SCHEMA[key]) {
+      continue; // Ignore settings removed in newer versions
+    }
+
+    const result = validateSetting(key, value);
+    settings[key] = result.value;
+
+    if (result.error) {
+      errors[key] = result.error;
+    }
+  }
+
+  return { settings, errors };
+}
+
+/**
+ * Replace the live settings and notify listeners about changed keys
+ * @param {object} values - Raw settings from storage
+ */
+function applySettings(values) {
+  const { settings } = validateSettings(values);
+
+  const changedKeys = Object.keys(settings).filter(key => {
+    return JSON.stringify(settings[key]) !== JSON.stringify(currentSettings[key]);
+  });
+
+  if (changedKeys.length === 0) {
+    return;
+  }
+
+  Object.assign(currentSettings, settings);
+
+  for (const listener of settingsListeners) {
+    try {
+      listener(currentSettings, changedKeys);
+    } catch (error) {
+      console.error('[ImageAlt:Settings] Listener failed:', error);
+    }
+  }
+}
+
+/**
+ * Load settings from storage into the live settings object
+ * @returns {Promise<object>} Copy of the loaded settings
+ */
+async function loadSettings() {
+  const stored = await browser.storage.local.get(SETTINGS_STORAGE_KEY);
+  applySettings(stored[SETTINGS_STORAGE_KEY]);
+  return getSettings();
+}
+
+/**
+ * Validate and persist settings
+ * Other extension contexts pick the change up through storage.onChanged
+ * @param {object} values - Settings to change (merged over the current ones)
+ * @returns {Promise<object>} Saved settings
+ * @throws {Error} With an `errors` map when validation fails
+ */
+async function saveSettings(values) {
+  const { settings, errors } = validateSettings({ ...currentSettings, ...values });
+
+  if (Object.keys(errors).length > 0) {
+    const error = new Error('Invalid settings');
+    error.errors = errors;
+    throw error;
+  }
+
+  await browser.storage.local.set({ [SETTINGS_STORAGE_KEY]: settings });
+  applySettings(settings);
+
+  return getSettings();
+}
+
+/**
+ * Remove stored settings so every value returns to its default
+ * @returns {Promise<object>} Default settings
+ */
+async function resetSettings() {
+  await browser.storage.local.remove(SETTINGS_STORAGE_KEY);
+  applySettings(getDefaultSettings());
+  return getSettings();
+}
+
+/**
+ * Get the current value of a setting
+ * @param {string} key - Setting name
+ * @returns {*} Current value
+ */
+function getSetting(key) {
+  return currentSettings[key];
+}
+
+/**
+ * Get a copy of all current settings
+ * @returns {object} Settings
+ */
+function getSettings() {
+  return JSON.parse(JSON.stringify(currentSettings));
+}
+
+/**
+ * Register a callback for settings changes
+ * @param {Function} listener - Called with (settings, changedKeys)
+ */
+function onSettingsChanged(listener) {
+  settingsListeners.push(listener);
+}
+
+// React to changes made from other extension contexts (e.g. the options page)
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[SETTINGS_STORAGE_KEY]) {
+    applySettings(changes[SETTINGS_STORAGE_KEY].newValue);
+  }
+});
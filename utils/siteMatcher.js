@@ -0,0 +1,132 @@
+/**
+ * Site Matcher - Matches page URLs against per-site patterns
+ *
+ * Supported patterns:
+ *   example.com                  - exactly this host
+ *   *.example.com                - this host and all of its subdomains
+ *   example.com/docs/*           - host + path glob (any scheme)
+ *   https://example.com/app/*    - full URL glob
+ * In globs `*` matches any sequence of characters.
+ */
+
+/**
+ * Check whether a pattern is syntactically valid
+ * @param {string} pattern - Site pattern
+ * @returns {boolean} True if valid
+ */
+function isValidSitePattern(pattern) {
+  if (typeof pattern !== 'string') return false;
+
+  const trimmed = pattern.trim();
+  if (trimmed === '' || /\s/.test(trimmed)) return false;
+
+  if (trimmed.includes('/')) {
+    return true; // URL glob
+  }
+
+  return /^(\*\.)?[a-z0-9*]([a-z0-9*-]*[a-z0-9*])?(\.[a-z0-9*]([a-z0-9*-]*[a-z0-9*])?)*(:\d+)?$/i.test(trimmed);
+}
+
+/**
+ * Convert a glob with `*` wildcards to an anchored regular expression
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Regular expression
+ */
+function globToRegExp(glob) {
+  const escaped = glob
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Check whether a URL matches a site pattern
+ * @param {string} pattern - Site pattern
+ * @param {string} href - Page URL
+ * @returns {boolean} True if the URL matches
+ */
+function matchesSitePattern(pattern, href) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch (error) {
+    return false;
+  }
+
+  const trimmed = pattern.trim();
+
+  // Full URL glob
+  if (trimmed.includes('://')) {
+    return globToRegExp(trimmed).test(url.href.replace(/#.*$/, ''));
+  }
+
+  // Host + path glob
+  if (trimmed.includes('/')) {
+    return globToRegExp(trimmed).test(url.host + url.pathname + url.search);
+  }
+
+  const host = trimmed.includes(':') ? url.host : url.hostname;
+
+  // Domain and all subdomains
+  if (trimmed.startsWith('*.')) {
+    const domain = trimmed.substring(2).toLowerCase();
+    return host === domain || host.endsWith(`.${domain}`);
+  }
+
+  return globToRegExp(trimmed).test(host);
+}
+
+/**
+ * Find the value of the first per-site entry matching a URL
+ * @param {Array<{pattern: string, value: *}>} entries - Per-site entries in priority order
+ * @param {string} href - Page URL
+ * @returns {*} Matching value, or undefined if no entry matches
+ */
+function findSiteValue(entries, href) {
+  const match = (entries || []).find(entry => matchesSitePattern(entry.pattern, href));
+  return match ? match.value : undefined;
+}
+
+/**
+ * Parse `pattern = value` lines into per-site entries
+ * Blank lines and lines starting with # are ignored
+ * @param {string} text - One entry per line
+ * @returns {{entries: Array<{pattern: string, value: string}>, errors: string[]}} Entries and per-line errors
+ */
+function parseSiteMap(text) {
+  const entries = [];
+  const errors = [];
+
+  String(text).split('\n').forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (line === '' || line.startsWith('#')) return;
+
+    const separator = line.indexOf('=');
+    if (separator === -1) {
+      errors.push(`Line ${index + 1}: expected "pattern = value"`);
+      return;
+    }
+
+    const pattern = line.substring(0, separator).trim();
+    const value = line.substring(separator + 1).trim();
+
+    if (!isValidSitePattern(pattern)) {
+      errors.push(`Line ${index + 1}: invalid site pattern "${pattern}"`);
+      return;
+    }
+
+    entries.push({ pattern, value });
+  });
+
+  return { entries, errors };
+}
+
+/**
+ * Format per-site entries as `pattern = value` lines
+ * @param {Array<{pattern: string, value: string}>} entries - Per-site entries
+ * @returns {string} Text, one entry per line
+ */
+function formatSiteMap(entries) {
+  return (entries || []).map(entry => `${entry.pattern} = ${entry.value}`).join('\n');
+}
@@ -0,0 +1,62 @@
+/**
+ * Site Rules - Decides whether images on a page may be processed
+ * Combines the global pause switch with allow/block rules from the settings.
+ * Rules are checked in order and the first matching rule wins; pages matching
+ * no rule are allowed in blocklist mode and blocked in allowlist mode.
+ */
+
+/**
+ * Evaluate the global pause switch and site rules for a page
+ * A frame is only processed if both its own URL and the top-level page are allowed,
+ * so a blocked site's embedded frames stay untouched too.
+ * @param {string} href - Page (or frame) URL
+ * @param {string} [topHref] - Top-level page URL when evaluating a frame
+ * @returns {{allowed: boolean, reason: string}} Decision and a short explanation
+ */
+function evaluateSiteRules(href, topHref = href) {
+  if (getSetting('paused')) {
+    return { allowed: false, reason: 'paused' };
+  }
+
+  if (topHref !== href) {
+    const topDecision = evaluateSiteRules(topHref);
+    if (!topDecision.allowed) {
+      return { allowed: false, reason: `top-level page ${topDecision.reason}` };
+    }
+  }
+
+  return evaluateUrlRules(href);
+}
+
+/**
+ * Evaluate the site rules for a single URL
+ * @param {string} href - URL
+ * @returns {{allowed: boolean, reason: string}} Decision and a short explanation
+ */
+function evaluateUrlRules(href) {
+  const rules = getSetting('siteRules');
+  const match = rules.find(rule => matchesSitePattern(rule.pattern, href));
+
+  if (match) {
+    return {
+      allowed: match.value === 'allow',
+      reason: `${match.value}: ${match.pattern}`
+    };
+  }
+
+  if (getSetting('siteRulesMode') === 'allowlist') {
+    return { allowed: false, reason: 'not in allowlist' };
+  }
+
+  return { allowed: true, reason: 'no matching rule' };
+}
+
+/**
+ * Check whether images on a page may be processed
+ * @param {string} href - Page (or frame) URL
+ * @param {string} [topHref] - Top-level page URL when checking a frame
+ * @returns {boolean} True if processing is allowed
+ */
+function isProcessingAllowed(href, topHref = href) {
+  return evaluateSiteRules(href, topHref).allowed;
+}